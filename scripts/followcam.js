@@ -23,6 +23,10 @@
 //       • All players mirror the GM camera 1:1 (position, zoom, rotation).
 //       • Players cannot interact with the canvas while Cinematic is active.
 //
+// • Ctrl+Shift+F / Ctrl+Alt+Shift+F (GM-only): targeted Cinematic / Force Follow
+//   - Same as above, but only for the players owning the GM's selected tokens.
+//   - Other players keep playing normally (membership lists `cinematicMembers` / `forceMembers`).
+//
 // PLAYER RESTRICTIONS IN ANY CINEMATIC (classic OR camera mode)
 // -------------------------------------------------------------
 // While Cinematic is ON, for all players:
@@ -33,6 +37,13 @@
 //  - No camera rotation: any attempt is immediately reverted to the GM state.
 // Everything is restored to normal only when the GM disables Cinematic.
 //
+// GM CAMERA SYNC
+// --------------
+//  - The GM camera is streamed to players over the module socket (`module.follow-the-token`):
+//    rate-limited, sequence-numbered deltas with periodic full keyframes.
+//  - The world setting `gmCameraState` is only written for the first and the settled state,
+//    so late joiners (and reloads) can still catch up.
+//
 // NOTIFICATIONS (types; GM banner is always black)
 // ------------------------------------------------
 //  - Alt+F (toggle follow): BLUE   -> ui.notifications.info
@@ -49,6 +60,7 @@ const MODULE_ID = "follow-the-token";
 let _rafHandle = null;           // requestAnimationFrame handle for the follow loop
 let _lastTs = performance.now(); // last animation frame timestamp
 let _lastMoveTs = 0;             // last time a followed token moved
+let _cameraVel = { x: 0, y: 0 }; // follow camera velocity (world px/s, spring model)
 
 // Mouse state (0=LMB, 1=MMB, 2=RMB) during free pan
 const _buttonsHeld = new Set();
@@ -71,6 +83,29 @@ let _lastPointerId = null;
 let _gmCameraWatchRaf = null;
 let _gmCameraWatchLast = null;
 
+// Socket channel used to stream GM camera states to players
+const SOCKET_NAME = `module.${MODULE_ID}`;
+const CAMERA_BROADCAST_INTERVAL_MS = 50;  // rate limit: at most ~20 camera messages per second
+const CAMERA_SETTLE_DELAY_MS = 750;       // camera still this long = settled (cameraSynced hook)
+const CAMERA_KEYFRAME_EVERY = 40;         // send a full state every N messages, deltas otherwise
+const CAMERA_REQUEST_COOLDOWN_MS = 1000;  // min interval between keyframe requests from a player
+
+// GM side: broadcast session, sequence and throttling
+const _cameraSessionId = foundry.utils.randomID();
+let _cameraSeq = 0;
+let _cameraLastSent = null;
+let _cameraLastSentTs = 0;
+let _cameraPending = null;
+let _cameraFlushTimer = null;
+let _cameraSettleTimer = null;
+
+// Player side: last state rebuilt from socket messages
+let _cameraRemote = null;
+let _cameraRemoteSid = null;
+let _cameraRemoteSeq = 0;
+let _cameraRequestTs = 0;
+let _cameraApplyIssue = null;     // why the last GM camera state was not applied ("scene" | "canvas" | "error")
+
 // Stage lock for players in Cinematic
 let _prevStageEventMode = null;
 let _prevStageInteractiveChildren = null;
@@ -78,19 +113,72 @@ let _prevStageInteractiveChildren = null;
 // Guard to avoid feedback loops in canvasPan
 let _squelchCanvasPan = false;
 
+// Guard to avoid re-entering our own rotateCamera8dRotated handler
+let _squelchRotateHook = false;
+
+// Player-side mirror buffer (timestamped GM states, interpolated each frame)
+const MIRROR_BUFFER_MAX = 64;
+const _mirrorBuffer = [];
+let _mirrorRaf = null;
+let _mirrorClockOffset = null;   // estimated (local clock - GM clock) in ms
+let _mirrorLastView = null;      // last view applied by the mirror
+let _mirrorNotifiedRotation = null;
+
 // Guard to avoid infinite loops when restoring locked selection in Cinematic
 let _lockSelectionGuard = false;
 
+// Combat follow: token id of the current combatant the camera focuses on (null = none)
+let _combatFocusId = null;
+
+// Local suspensions on this player: "scene" (GM on another scene) pauses Cinematic,
+// "gmAbsent" (no GM connected) pauses Cinematic and Force Follow
+const _suspensions = new Set();
+let _pullingSceneId = null;
+
+// Effective Force/Cinematic state last applied on this client (membership-aware)
+let _forceAppliedForMe = false;
+let _cinAppliedForMe = false;
+let _cinAsDirector = false;      // role Cinematic was entered with on this client
+
 // ---------------------------
 // Helpers
 // ---------------------------
 const _now = () => performance.now();
 
+/**
+ * Tuning settings a scene may override (Scene configuration → Follow The Token tab).
+ */
+const SCENE_OVERRIDE_KEYS = ["retainZoom", "clampToScene", "scale", "responsiveness", "maxSpeed", "idleMs"];
+const SCENE_BOOLEAN_KEYS = ["retainZoom", "clampToScene"];
+
+/**
+ * Per-scene Follow The Token configuration stored in scene flags.
+ */
+function _getSceneConfig(scene = canvas?.scene) {
+  return scene?.getFlag(MODULE_ID, "config") ?? {};
+}
+
+/**
+ * Effective value of a tuning setting: the viewed scene's override if set, else the client setting.
+ */
+function _setting(key) {
+  if (SCENE_OVERRIDE_KEYS.includes(key)) {
+    const v = _getSceneConfig()[key];
+    if (SCENE_BOOLEAN_KEYS.includes(key)) {
+      if (v === "on") return true;
+      if (v === "off") return false;
+    } else if (v !== null && v !== undefined && v !== "" && Number.isFinite(Number(v))) {
+      return Number(v);
+    }
+  }
+  return game.settings.get(MODULE_ID, key);
+}
+
 /**
  * Idle threshold (ms), with a small cushion when multiple tokens are selected.
  */
 function _idleMs() {
-  const base = Number(game.settings.get(MODULE_ID, "idleMs") ?? 300);
+  const base = Number(_setting("idleMs") ?? 300);
   const n = (canvas?.tokens?.controlled ?? []).length;
   const cushion = 180;
   return n > 1 ? Math.max(base, cushion) : base;
@@ -100,15 +188,64 @@ const _wasIdle = (now = _now()) => (now - _lastMoveTs) > _idleMs();
 const _isMoving = (now = _now()) => !_wasIdle(now);
 const _isMouseHeld = () => _buttonsHeld.size > 0;
 
+/**
+ * Membership lists for Force Follow / Cinematic: user ids, empty = every player.
+ */
+const _getForceMembers = () => game.settings.get(MODULE_ID, "forceMembers") || [];
+const _getCinematicMembers = () => game.settings.get(MODULE_ID, "cinematicMembers") || [];
+const _isMemberOf = (ids) => !ids.length || ids.includes(game.user?.id);
+
+/**
+ * Director: the one user whose camera and selection drive Cinematic. The `directorId`
+ * world setting while that user is connected, else the active GM.
+ */
+function _getDirectorId() {
+  const id = game.settings.get(MODULE_ID, "directorId");
+  if (id && game.users?.get(id)?.active) return id;
+  return game.users?.activeGM?.id ?? null;
+}
+const _isDirector = (userId = game.user?.id) => Boolean(userId) && userId === _getDirectorId();
+
+/**
+ * A user's part in Force/Cinematic: "director", "viewer" (other GMs: unaffected, no broadcast)
+ * or "player" (targeted, locked and mirrored). The `gmRole` setting can turn other GMs into players.
+ */
+function _getRole(user = game.user) {
+  if (!user) return "player";
+  if (_isDirector(user.id)) return "director";
+  if (user.isGM) return game.settings.get(MODULE_ID, "gmRole") === "player" ? "player" : "viewer";
+  return "player";
+}
+const _isPlayerRole = (user = game.user) => _getRole(user) === "player";
+
 const _isForceOnGlobal = () => Boolean(game.settings.get(MODULE_ID, "gmForceFollow"));
-const _isForceOnForMe = () => _isForceOnGlobal() && !game.user?.isGM;
+const _isForceTargetingMe = () => _isForceOnGlobal() && _isPlayerRole() && _isMemberOf(_getForceMembers());
+const _isForceOnForMe = () => _isForceTargetingMe() && !_suspensions.has("gmAbsent");
 const _isForceOn = _isForceOnGlobal;
 
 const _isCinematicOn = () => Boolean(game.settings.get(MODULE_ID, "gmCinematic"));
+
+/**
+ * Effective Cinematic state for this client: the director always takes part, players only if
+ * targeted and not locally suspended. "Locked" = taking part without directing.
+ */
+const _isCinematicTargetingMe = () =>
+  _isCinematicOn() && _isPlayerRole() && _isMemberOf(_getCinematicMembers());
+const _isCinematicOnForMe = () =>
+  (_isCinematicOn() && _isDirector()) || (_isCinematicTargetingMe() && !_suspensions.size);
+const _isCinematicLockedForMe = () => _isCinematicOnForMe() && !_isDirector();
 const _isLocalEnabled = () => Boolean(game.settings.get(MODULE_ID, "enabled"));
 
 const _getGMSelectionIds = () => game.settings.get(MODULE_ID, "gmSelectionIds") || [];
 
+/**
+ * Spectate: an explicit list of tokens to follow without controlling them.
+ * Players under Force Follow are locked to their own tokens, so it does not apply to them.
+ */
+const _getFollowTargetIds = () => game.settings.get(MODULE_ID, "followTargetIds") || [];
+const _isSpectating = () =>
+  Boolean(game.settings.get(MODULE_ID, "spectate")) && _getFollowTargetIds().length > 0 && !_isForceOnForMe();
+
 /**
  * World setting indicating if Cinematic is in "GM camera" mode or classic token-follow mode.
  */
@@ -116,9 +253,9 @@ const _isCinematicCameraMode = () =>
   Boolean(game.settings.get(MODULE_ID, "gmCinematicFollowCamera"));
 
 /**
- * GM camera state stored as a world setting.
+ * Latest known GM camera state: the socket stream if we have one, else the world setting.
  */
-const _getGmCameraState = () => game.settings.get(MODULE_ID, "gmCameraState") || null;
+const _getGmCameraState = () => _cameraRemote || game.settings.get(MODULE_ID, "gmCameraState") || null;
 
 /**
  * Per-client snapshot saved before entering Cinematic.
@@ -131,15 +268,16 @@ function _getCinSnapshot() {
  * Determines if FOLLOW (ticker) should be active for this user.
  */
 function _isFollowActive() {
-  if (_isCinematicOn()) {
+  if (_isCinematicOnForMe()) {
     if (_isCinematicCameraMode()) {
-      if (game.user?.isGM) return _isLocalEnabled();
+      if (_isDirector()) return _isLocalEnabled();
       return false;
     }
     return true;
   }
 
-  if (game.user?.isGM) return _isLocalEnabled();
+  if (_combatFocusId) return true;
+  if (_isSpectating()) return true;
   return _isForceOnForMe() || _isLocalEnabled();
 }
 
@@ -220,11 +358,20 @@ function _renderGMBanners() {
   host.innerHTML = "";
 
   let key = null;
-  if (_isCinematicOn()) key = "CFT.Banner.Cinematic";
-  else if (_isForceOn()) key = "CFT.Banner.Force";
+  let members = [];
+  if (_isCinematicOn()) { key = "CFT.Banner.Cinematic"; members = _getCinematicMembers(); }
+  else if (_isForceOn()) { key = "CFT.Banner.Force"; members = _getForceMembers(); }
 
   if (!key) return;
 
+  let label = game.i18n.localize(key);
+  if (members.length) label += ` · ${game.i18n.format("CFT.Banner.Members", { count: members.length })}`;
+  if (!_isDirector()) {
+    label += ` · ${game.i18n.format("CFT.Banner.Director", { name: game.users?.get(_getDirectorId())?.name ?? "—" })}`;
+  }
+  const outOfSync = (game.users ?? []).filter(u => _getUserSyncProblem(u.id)).length;
+  if (outOfSync) label += ` · ${game.i18n.format("CFT.Banner.OutOfSync", { count: outOfSync })}`;
+
   const el = document.createElement("div");
   el.id = "ftt-banner";
   el.style.display = "inline-block";
@@ -239,7 +386,7 @@ function _renderGMBanners() {
   el.style.background = "rgba(0,0,0,0.85)";
   el.style.border = "1px solid rgba(255,255,255,0.12)";
   el.style.pointerEvents = "auto";
-  el.textContent = game.i18n.localize(key);
+  el.textContent = label;
   host.appendChild(el);
 }
 
@@ -272,32 +419,117 @@ function _buildGmCameraState(reason = "pan") {
 }
 
 /**
- * Store the GM camera state in the world setting while Cinematic is on.
+ * Write a camera state to the world setting, so late joiners can catch up. Only done when
+ * Cinematic starts or ends and on canvasReady; the socket stream carries everything else.
+ * `seq` is the last socket message the state covers (not a new one), so it never opens a gap.
  */
-async function _pushGmCameraState(reason = "pan") {
-  if (!game.user?.isGM) return;
+async function _persistGmCameraState(state) {
+  if (!_isDirector() || !state) return;
+  // Entering Cinematic and canvasReady often write the same view twice
+  const prev = game.settings.get(MODULE_ID, "gmCameraState");
+  if (prev && ["sceneId", "x", "y", "scale", "rotation"].every(k => prev[k] === state[k])) return;
+  try {
+    await _setDirectorSetting("gmCameraState", {
+      ...state,
+      sid: _cameraSessionId,
+      seq: _cameraSeq,
+      ts: Date.now()
+    });
+  } catch (e) {
+    console.error("[FTT] set gmCameraState failed", e);
+  }
+}
+
+/**
+ * Send a camera state to players over the socket: rate-limited and sequence-numbered.
+ * Sends only the changed fields, with a full keyframe every CAMERA_KEYFRAME_EVERY messages.
+ */
+function _broadcastGmCameraState(state, { keyframe = false } = {}) {
+  if (!state) return;
+  const now = _now();
+
+  if (!keyframe && (now - _cameraLastSentTs) < CAMERA_BROADCAST_INTERVAL_MS) {
+    _cameraPending = state;
+    if (!_cameraFlushTimer) {
+      _cameraFlushTimer = setTimeout(() => {
+        _cameraFlushTimer = null;
+        const pending = _cameraPending;
+        _cameraPending = null;
+        if (pending && _isDirector() && _isCinematicOn()) _broadcastGmCameraState(pending);
+      }, CAMERA_BROADCAST_INTERVAL_MS - (now - _cameraLastSentTs));
+    }
+    return;
+  }
+
+  _cameraPending = null;
+  const prev = _cameraLastSent;
+  const seq = ++_cameraSeq;
+  const full = keyframe || !prev || prev.sceneId !== state.sceneId || (seq % CAMERA_KEYFRAME_EVERY) === 0;
+
+  let payload = state;
+  if (!full) {
+    payload = {};
+    for (const k of ["x", "y", "scale", "rotation", "reason"]) {
+      if (state[k] !== prev[k]) payload[k] = state[k];
+    }
+  }
+
+  _cameraLastSent = state;
+  _cameraLastSentTs = now;
+  _emitSocket("cameraState", {
+    sid: _cameraSessionId,
+    seq,
+    ts: Date.now(),
+    keyframe: full,
+    state: payload
+  });
+
+  // Tell listeners once the camera settles
+  if (_cameraSettleTimer) clearTimeout(_cameraSettleTimer);
+  _cameraSettleTimer = setTimeout(() => {
+    _cameraSettleTimer = null;
+    if (_isDirector() && _isCinematicOn()) Hooks.callAll("followTheToken.cameraSynced", { ..._cameraLastSent });
+  }, CAMERA_SETTLE_DELAY_MS);
+}
+
+/**
+ * Drop any pending broadcast/persist work (Cinematic turned off or canvas torn down).
+ */
+function _resetGmCameraBroadcast() {
+  if (_cameraFlushTimer) clearTimeout(_cameraFlushTimer);
+  if (_cameraSettleTimer) clearTimeout(_cameraSettleTimer);
+  _cameraFlushTimer = null;
+  _cameraSettleTimer = null;
+  _cameraPending = null;
+  _cameraLastSent = null;
+  _cameraLastSentTs = 0;
+}
+
+/**
+ * Broadcast the GM camera state while Cinematic is on.
+ * With `persist` (Cinematic entered, canvasReady), also sends a keyframe and writes the world setting.
+ */
+async function _pushGmCameraState(reason = "pan", { persist = false, keyframe = persist } = {}) {
+  if (!_isDirector()) return;
   if (!_isCinematicOn()) return;
 
   const state = _buildGmCameraState(reason);
   if (!state) return;
 
-  try {
-    await game.settings.set(MODULE_ID, "gmCameraState", state);
-  } catch (e) {
-    console.error("[FTT] set gmCameraState failed", e);
-  }
+  _broadcastGmCameraState(state, { keyframe });
+  if (persist) await _persistGmCameraState(state);
 }
 
 /**
  * Start a loop that watches the GM camera for changes and broadcasts them to players.
  */
 function _startGmCameraWatcher() {
-  if (!game.user?.isGM) return;
+  if (!_isDirector()) return;
   if (!_isCinematicOn()) return;
   if (_gmCameraWatchRaf) return;
 
   const loop = () => {
-    if (!game.user?.isGM || !_isCinematicOn()) {
+    if (!_isDirector() || !_isCinematicOn()) {
       _stopGmCameraWatcher();
       return;
     }
@@ -317,9 +549,7 @@ function _startGmCameraWatcher() {
 
       if (changed) {
         _gmCameraWatchLast = state;
-        game.settings.set(MODULE_ID, "gmCameraState", state).catch(e => {
-          console.error("[FTT] set gmCameraState (watch) failed:", e);
-        });
+        _broadcastGmCameraState(state);
       }
     }
 
@@ -337,55 +567,193 @@ function _stopGmCameraWatcher() {
 
 /**
  * Apply a GM camera state to a player client.
+ * Regular updates are buffered and interpolated; `instant` snaps and clears the buffer.
+ * `synced` (full states: keyframes, settled/persisted states) fires `followTheToken.cameraSynced`.
  */
-function _applyGmCameraState(state, { instant = false } = {}) {
+function _applyGmCameraState(state, { instant = false, synced = instant } = {}) {
   if (!state) return;
-  if (!_isCinematicOn()) return;
-  if (game.user?.isGM) return;
-  if (!canvas?.scene || canvas.scene.id !== state.sceneId) return;
+  if (!_isCinematicLockedForMe()) return;
+  if (!canvas?.ready) { _setCameraApplyIssue("canvas"); return; }
+  if (!canvas.scene || canvas.scene.id !== state.sceneId) { _setCameraApplyIssue("scene"); return; }
+
+  const sample = _pushMirrorSample(state, { reset: instant });
+  if (!sample) return;
+
+  const delay = Number(game.settings.get(MODULE_ID, "mirrorDelayMs") ?? 0);
+  const extrapolate = Number(game.settings.get(MODULE_ID, "mirrorExtrapolateMs") ?? 0);
+  if (instant || (delay <= 0 && extrapolate <= 0)) {
+    _stopMirrorTicker();
+    _applyMirrorView(sample);
+  } else {
+    _startMirrorTicker();
+  }
+
+  if (synced) Hooks.callAll("followTheToken.cameraSynced", { ...state });
+}
+
+/**
+ * Add a GM state to the mirror buffer, keyed by the GM timestamp. Returns the sample.
+ */
+function _pushMirrorSample(state, { reset = false } = {}) {
+  const localNow = Date.now();
+  const gmTs = Number(state.ts ?? NaN);
+
+  // Clock offset: lowest observed (local - GM) delay, slowly relaxed to follow clock drift
+  if (Number.isFinite(gmTs)) {
+    const offset = localNow - gmTs;
+    if (_mirrorClockOffset == null || offset < _mirrorClockOffset) _mirrorClockOffset = offset;
+    else _mirrorClockOffset += (offset - _mirrorClockOffset) * 0.01;
+  }
+
+  const sample = {
+    t: Number.isFinite(gmTs) ? gmTs : localNow - (_mirrorClockOffset ?? 0),
+    x: state.x ?? 0,
+    y: state.y ?? 0,
+    scale: state.scale ?? 1,
+    rotation: state.rotation ?? 0
+  };
+
+  if (reset) _mirrorBuffer.length = 0;
+  const last = _mirrorBuffer[_mirrorBuffer.length - 1];
+  if (last && sample.t <= last.t) return null;
+
+  _mirrorBuffer.push(sample);
+  if (_mirrorBuffer.length > MIRROR_BUFFER_MAX) _mirrorBuffer.shift();
+  return sample;
+}
+
+/**
+ * Shortest-arc angle interpolation (radians).
+ */
+function _lerpAngle(a, b, k) {
+  const TAU = Math.PI * 2;
+  let d = (b - a) % TAU;
+  if (d > Math.PI) d -= TAU;
+  else if (d < -Math.PI) d += TAU;
+  return a + d * k;
+}
+
+/**
+ * Interpolate between two samples; k may exceed 1 for extrapolation.
+ */
+function _lerpView(a, b, k) {
+  return {
+    x: a.x + (b.x - a.x) * k,
+    y: a.y + (b.y - a.y) * k,
+    // Geometric interpolation keeps zoom speed perceptually even
+    scale: a.scale * Math.pow(b.scale / a.scale, k),
+    rotation: _lerpAngle(a.rotation, b.rotation, k)
+  };
+}
+
+/**
+ * Sample the buffer at GM time `t`. Marks the result `settled` once there is nothing left to play.
+ */
+function _sampleMirrorBuffer(t) {
+  const buf = _mirrorBuffer;
+  if (!buf.length) return null;
+
+  // Drop samples we have fully played past (keep one before t as the interpolation base)
+  while (buf.length > 2 && buf[1].t <= t) buf.shift();
+
+  const first = buf[0];
+  const last = buf[buf.length - 1];
+  if (t <= first.t) return { ...first, settled: buf.length === 1 };
+
+  if (t <= last.t) {
+    const b = buf.find(s => s.t >= t);
+    const a = buf[buf.indexOf(b) - 1] ?? first;
+    const span = b.t - a.t;
+    return { ..._lerpView(a, b, span > 0 ? (t - a.t) / span : 1), settled: false };
+  }
+
+  // Past the newest sample: extrapolate for a short while, then hold the last state
+  const extrapolate = Number(game.settings.get(MODULE_ID, "mirrorExtrapolateMs") ?? 0);
+  const prev = buf[buf.length - 2];
+  if (!prev || (t - last.t) > extrapolate) return { ...last, settled: true };
+
+  const span = last.t - prev.t;
+  if (span <= 0) return { ...last, settled: true };
+  return { ..._lerpView(prev, last, 1 + (t - last.t) / span), settled: false };
+}
+
+function _startMirrorTicker() {
+  if (_mirrorRaf) return;
+
+  const step = () => {
+    _mirrorRaf = null;
+    if (!_isCinematicLockedForMe()) return;
+
+    const delay = Number(game.settings.get(MODULE_ID, "mirrorDelayMs") ?? 0);
+    const renderT = Date.now() - (_mirrorClockOffset ?? 0) - delay;
+    const view = _sampleMirrorBuffer(renderT);
+    if (!view) return;
+
+    _applyMirrorView(view);
+    if (!view.settled) _mirrorRaf = requestAnimationFrame(step);
+  };
+
+  _mirrorRaf = requestAnimationFrame(step);
+}
+
+function _stopMirrorTicker() {
+  if (_mirrorRaf) cancelAnimationFrame(_mirrorRaf);
+  _mirrorRaf = null;
+}
+
+function _resetMirror() {
+  _stopMirrorTicker();
+  _mirrorBuffer.length = 0;
+  _mirrorLastView = null;
+  _mirrorNotifiedRotation = null;
+}
+
+/**
+ * Put a mirrored view on screen. Camera mode applies position + zoom, Classic only zoom;
+ * rotation is applied in both.
+ */
+function _applyMirrorView(view) {
+  if (!canvas?.ready) return;
+  _mirrorLastView = view;
 
-  const x = state.x ?? 0;
-  const y = state.y ?? 0;
-  const scale = state.scale ?? 1;
-  const rotation = state.rotation ?? 0;
+  const opts = _isCinematicCameraMode()
+    ? { ..._clampToCameraBounds(view, { scale: view.scale, track: "mirror" }), scale: view.scale }
+    : { scale: view.scale };
 
+  const wasSquelched = _squelchCanvasPan;
+  _squelchCanvasPan = true;
   try {
-    if (_isCinematicCameraMode()) {
-      canvas.animatePan({
-        x,
-        y,
-        scale,
-        duration: instant ? 0 : 0
-      });
-    } else {
-      canvas.animatePan({
-        scale,
-        duration: instant ? 0 : 0
-      });
-    }
+    canvas.pan(opts);
+    _setCameraApplyIssue(null);
   } catch (e) {
-    console.error("[FTT] animatePan (gmCameraState) failed", e);
+    console.error("[FTT] pan (gmCameraState) failed", e);
+    _setCameraApplyIssue("error");
+  } finally {
+    _squelchCanvasPan = wasSquelched;
   }
 
   try {
-    if (canvas.stage) {
-      canvas.stage.rotation = rotation;
-    }
+    if (canvas.stage) canvas.stage.rotation = view.rotation;
   } catch (e) {
     console.warn("[FTT] stage rotation apply failed:", e);
   }
 
-  // Notify rotate-camera-8d / compass about the effective rotation on this client
+  if (_mirrorNotifiedRotation == null || Math.abs(view.rotation - _mirrorNotifiedRotation) > 1e-4) {
+    _mirrorNotifiedRotation = view.rotation;
+    _notifyRotation(view.rotation, _currentCenterWorld());
+  }
+}
+
+/**
+ * Notify rotate-camera-8d / compass about the effective rotation on this client.
+ */
+function _notifyRotation(angleRad, center) {
   try {
-    const angleRad = rotation;
     const angleDeg = (angleRad * 180) / Math.PI;
 
     // Map angle to 0..7 steps of 45°
     const cameraStep = ((Math.round(angleDeg / 45) % 8) + 8) % 8;
 
-    // Best-effort center in world coordinates
-    const center = _currentCenterWorld();
-
     // Optional: keep RotatingCamera8D internal state in sync on players
     const rc = window.RotatingCamera8D;
     if (rc) {
@@ -393,7 +761,8 @@ function _applyGmCameraState(state, { instant = false } = {}) {
       rc.cameraStep = cameraStep;
     }
 
-    // Main hook used by your compass overlay
+    // Main hook used by the compass overlay
+    _squelchRotateHook = true;
     Hooks.callAll("rotateCamera8dRotated", {
       angleDeg,
       angleRad,
@@ -402,18 +771,184 @@ function _applyGmCameraState(state, { instant = false } = {}) {
     });
   } catch (e) {
     console.warn("[FTT] notify rotate-camera-8d failed:", e);
+  } finally {
+    _squelchRotateHook = false;
   }
 }
 
 /**
  * Listener for gmCameraState changes: used by players to sync with the GM camera.
+ * Ignored when the socket stream is already ahead of the persisted state.
  */
 function _onGmCameraStateChanged(state) {
-  if (!_isCinematicOn()) return;
-  if (game.user?.isGM) return;
+  if (_isDirector()) return;
   if (!state) return;
 
-  _applyGmCameraState(state, { instant: false });
+  if (state.sid && state.sid === _cameraRemoteSid && (state.seq ?? 0) < _cameraRemoteSeq) return;
+  _cameraRemote = state;
+  _cameraRemoteSid = state.sid ?? null;
+  _cameraRemoteSeq = state.seq ?? 0;
+
+  _checkCinematicScene(state);
+  if (!_isCinematicOnForMe()) return;
+  _applyGmCameraState(state, { instant: false, synced: true });
+}
+
+/**
+ * Player side: a camera state (keyframe or delta) arrived over the socket.
+ */
+function _onSocketCameraState({ senderId, sid, seq, ts, keyframe, state }) {
+  if (_isDirector()) return;
+  if (!state || senderId !== _getDirectorId()) return;
+
+  const sameSession = sid === _cameraRemoteSid;
+  if (sameSession && seq <= _cameraRemoteSeq) return;
+
+  // A delta is only meaningful on top of the previous message of the same session
+  const gap = !sameSession || seq !== _cameraRemoteSeq + 1;
+  if (!keyframe && gap) _requestGmCameraKeyframe();
+  if (!keyframe && !_cameraRemote) return;
+
+  _cameraRemote = keyframe ? { ...state, ts } : { ..._cameraRemote, ...state, ts };
+  _cameraRemoteSid = sid;
+  _cameraRemoteSeq = seq;
+
+  _checkCinematicScene(_cameraRemote);
+  if (!_isCinematicOnForMe()) return;
+  _applyGmCameraState(_cameraRemote, { instant: false, synced: Boolean(keyframe) });
+}
+
+/**
+ * Remember whether the GM camera could be applied; the GM hears about changes right away.
+ */
+function _setCameraApplyIssue(issue) {
+  if (issue === _cameraApplyIssue) return;
+  _cameraApplyIssue = issue;
+  _reportUserStatus();
+}
+
+/**
+ * Player side: ask the GM for a full camera state (joined late or missed a message).
+ */
+function _requestGmCameraKeyframe() {
+  const now = _now();
+  if (now - _cameraRequestTs < CAMERA_REQUEST_COOLDOWN_MS) return;
+  _cameraRequestTs = now;
+  _emitSocket("cameraStateRequest");
+}
+
+/**
+ * Player side: forget the GM camera rebuilt from the stream, so the next state is taken as new.
+ */
+function _resetRemoteCamera() {
+  _cameraRemote = null;
+  _cameraRemoteSid = null;
+  _cameraRemoteSeq = 0;
+}
+
+// ---------------------------
+// Socket wiring
+// ---------------------------
+function _emitSocket(type, payload = {}) {
+  try {
+    game.socket?.emit(SOCKET_NAME, { type, senderId: game.user?.id, ...payload });
+  } catch (e) {
+    console.warn(`[FTT] socket emit (${type}) failed:`, e);
+  }
+}
+
+/**
+ * Whether a socket message may steer this client: it comes from a GM or the director.
+ */
+function _isFromGmOrDirector(msg) {
+  return Boolean(game.users?.get(msg?.senderId)?.isGM) || msg?.senderId === _getDirectorId();
+}
+
+function _onSocketMessage(msg) {
+  if (!msg?.type) return;
+  if (!game.user?.isGM && game.users?.get(msg.senderId)?.isGM) {
+    _lastGmSeen = Date.now();
+    if (_suspensions.has("gmAbsent")) _checkGmPresence();
+  }
+
+  switch (msg.type) {
+    case "cameraState":
+      _onSocketCameraState(msg);
+      break;
+    case "cameraStateRequest":
+      if (_isDirector() && _isCinematicOn()) _pushGmCameraState("request", { keyframe: true });
+      break;
+    case "userStatus":
+      _onUserStatus(msg);
+      break;
+    case "userStatusRequest":
+      if (_isFromGmOrDirector(msg)) _reportUserStatus();
+      break;
+    case "pullCamera":
+      _onPullCamera(msg);
+      break;
+    case "resync":
+      if (game.users?.get(msg.senderId)?.isGM) _onResync();
+      break;
+    case "cameraEffect":
+      _onSocketCameraEffect(msg);
+      break;
+    case "cameraEffectStop":
+      if (!_isDirector() && msg.senderId === _getDirectorId()) _stopCameraEffects();
+      break;
+    case "directorSetting":
+      _onDirectorSetting(msg);
+      break;
+  }
+}
+
+// ---------------------------
+// Smoothing (frame-rate independent)
+// ---------------------------
+// Smoothing factors (responsiveness, look-ahead smoothing, ...) are "fraction of the remaining
+// distance covered per frame at 60 fps". They are turned into rates so every frame rate feels the same.
+const SMOOTHING_REFERENCE_FPS = 60;
+const SPRING_HALF_LIFE_RATIO = 2.42; // critically damped spring with the same half-life as the exponential
+
+/**
+ * Per-second rate equivalent to a per-frame smoothing factor at the reference frame rate.
+ */
+function _smoothingRate(factor) {
+  const f = Math.min(0.999, Math.max(0.001, Number(factor) || 0));
+  return -Math.log(1 - f) * SMOOTHING_REFERENCE_FPS;
+}
+
+/**
+ * Move `current` toward `target` over `dt` seconds with the configured model.
+ * "spring": critically damped spring (keeps a velocity, no overshoot); "exponential": plain decay.
+ * Returns { value, vel }; pass `vel` back in on the next frame.
+ */
+function _smoothTo(current, target, vel, dt, factor) {
+  const rate = _smoothingRate(factor);
+  if (game.settings.get(MODULE_ID, "smoothingModel") === "exponential") {
+    const value = target + (current - target) * Math.exp(-rate * dt);
+    return { value, vel: (value - current) / dt };
+  }
+
+  // Closed-form approximation of a critically damped spring, stable at any dt
+  const omega = rate * SPRING_HALF_LIFE_RATIO;
+  const x = omega * dt;
+  const decay = 1 / (1 + x + 0.48 * x * x + 0.235 * x * x * x);
+  const change = current - target;
+  const temp = ((vel || 0) + omega * change) * dt;
+  return {
+    value: target + (change + temp) * decay,
+    vel: ((vel || 0) - omega * temp) * decay
+  };
+}
+
+/**
+ * 2D version of `_smoothTo`; `state` is { x, y, vx, vy } and is returned updated.
+ */
+function _smoothPoint(state, target, dt, factor) {
+  const sx = _smoothTo(state.x, target.x, state.vx, dt, factor);
+  const sy = _smoothTo(state.y, target.y, state.vy, dt, factor);
+  return { x: sx.value, y: sy.value, vx: sx.vel, vy: sy.vel };
 }
 
 // ---------------------------
@@ -424,62 +959,172 @@ function _onGmCameraStateChanged(state) {
  * Determine which tokens we should follow based on current mode.
  */
 function _getFollowTokens() {
-  if (_isCinematicOn() && !_isCinematicCameraMode()) {
+  if (_isCinematicOnForMe() && !_isCinematicCameraMode()) {
     const ids = new Set(_getGMSelectionIds());
     const tokens = canvas?.tokens?.placeables?.filter(t => ids.has(t.document.id)) ?? [];
-    return tokens;
+    return _isDirector() ? tokens : _filterVisibleFollowTokens(tokens);
+  }
+  if (_combatFocusId) {
+    const token = canvas?.tokens?.get(_combatFocusId);
+    if (token?.visible) return [token];
+  }
+  if (_isSpectating()) {
+    const ids = new Set(_getFollowTargetIds());
+    return canvas?.tokens?.placeables?.filter(t => ids.has(t.document.id) && t.visible) ?? [];
   }
   return canvas?.tokens?.controlled ?? [];
 }
 
-let _prevTarget = null;
+/**
+ * Followed tokens without the point targets of Classic Cinematic (for hooks and status).
+ */
+const _getFollowedTokenObjects = () => _getFollowTokens().filter(t => !t.isPointTarget);
+
+// ---------------------------
+// Classic Cinematic visibility (players never follow what they cannot see)
+// ---------------------------
+const _lastVisiblePoints = new Map(); // token id -> center where this player last saw it
+
+/**
+ * Whether this player can see the token right now. Hidden documents never count.
+ */
+const _canSeeToken = (t) => !t.document?.hidden && Boolean(t.isVisible ?? t.visible);
+
+/**
+ * A fixed point followed like a token: no size, no motion and no document id.
+ */
+const _pointTarget = ({ x, y }) => ({
+  isPointTarget: true,
+  center: { x, y },
+  x, y, w: 0, h: 0,
+  bounds: { x, y, width: 0, height: 0 },
+  document: { id: null, x, y, elevation: 0 }
+});
+
+/**
+ * GM-designated point that stands in for tokens players cannot see ("proxy" policy), on this scene.
+ */
+function _getCinematicProxy() {
+  const p = game.settings.get(MODULE_ID, "cinematicProxy");
+  if (!p || p.sceneId !== canvas?.scene?.id || !Number.isFinite(p.x) || !Number.isFinite(p.y)) return null;
+  return { x: p.x, y: p.y };
+}
+
+/**
+ * GM: set (or clear with null) the proxy point on the viewed scene.
+ */
+async function _setCinematicProxy(point) {
+  if (!game.user?.isGM) return false;
+  const value = point && canvas?.scene
+    ? { sceneId: canvas.scene.id, x: Number(point.x), y: Number(point.y) }
+    : null;
+  await game.settings.set(MODULE_ID, "cinematicProxy", value);
+  return true;
+}
+
+/**
+ * Player side of Classic Cinematic: the director's selection under the `cinematicVisibility` policy.
+ * "visible" drops unseen tokens, "lastVisible" keeps them where this player last saw them,
+ * "proxy" replaces them with the GM's proxy point.
+ */
+function _filterVisibleFollowTokens(tokens) {
+  const visible = [];
+  const unseen = [];
+  for (const t of tokens) {
+    if (_canSeeToken(t)) {
+      visible.push(t);
+      _lastVisiblePoints.set(t.document.id, { x: t.center.x, y: t.center.y });
+    } else {
+      unseen.push(t);
+    }
+  }
+  if (!unseen.length) return visible;
+
+  const policy = game.settings.get(MODULE_ID, "cinematicVisibility");
+  if (policy === "lastVisible") {
+    const points = unseen.map(t => _lastVisiblePoints.get(t.document.id)).filter(Boolean);
+    return [...visible, ...points.map(_pointTarget)];
+  }
+  if (policy === "proxy") {
+    const proxy = _getCinematicProxy();
+    if (proxy) return [...visible, _pointTarget(proxy)];
+  }
+  return visible;
+}
 
 /**
- * Compute the smoothed center of the followed tokens (EMA when multi-select).
+ * Visibility policy or proxy changed: let a locked player's camera re-target.
  */
-function _getGroupCenter(tokens) {
-  if (!tokens || tokens.length === 0) { _prevTarget = null; return null; }
+function _onCinematicVisibilityChanged() {
+  if (!_isCinematicLockedForMe() || _isCinematicCameraMode()) return;
+  _lastMoveTs = _now();
+  _startTicker();
+}
+
+let _prevTarget = null; // smoothed group center { x, y, vx, vy }
+const GROUP_CENTER_SMOOTHING = 0.25;
 
+/**
+ * Plain centroid of some tokens (no smoothing, no state).
+ */
+function _getTokensCenter(tokens) {
+  if (!tokens?.length) return null;
   let sx = 0, sy = 0;
   for (const t of tokens) {
     const c = t.center;
     sx += c.x;
     sy += c.y;
   }
-  const n = tokens.length;
-  const raw = { x: sx / n, y: sy / n };
+  return { x: sx / tokens.length, y: sy / tokens.length };
+}
 
-  if (n === 1) { _prevTarget = raw; return raw; }
+/**
+ * Compute the smoothed center of the followed tokens (smoothed when multi-select).
+ * `dt` is the frame time in seconds; one reference frame for one-off recenters.
+ */
+function _getGroupCenter(tokens, dt = 1 / SMOOTHING_REFERENCE_FPS) {
+  const raw = _getTokensCenter(tokens);
+  if (!raw) { _prevTarget = null; return null; }
 
-  const alpha = 0.25;
-  if (!_prevTarget) { _prevTarget = raw; }
-  _prevTarget = {
-    x: _prevTarget.x + (raw.x - _prevTarget.x) * alpha,
-    y: _prevTarget.y + (raw.y - _prevTarget.y) * alpha
-  };
-  return _prevTarget;
+  if (tokens.length === 1 || !_prevTarget) {
+    _prevTarget = { ...raw, vx: 0, vy: 0 };
+    return raw;
+  }
+
+  _prevTarget = _smoothPoint(_prevTarget, raw, dt, GROUP_CENTER_SMOOTHING);
+  return { x: _prevTarget.x, y: _prevTarget.y };
 }
 
+/**
+ * Whether the GM camera drives this client's zoom: Camera-mode Cinematic, and any Cinematic for players.
+ */
+const _isZoomDrivenByGM = () =>
+  _isCinematicOnForMe() && (_isCinematicCameraMode() || !_isDirector());
+
 /**
  * Soft pan the camera toward (x, y). Optionally instant.
+ * `scale` overrides the configured target zoom (used by "fit group").
+ * `clamp: false` skips camera bounds (the ticker clamps its own target).
  */
-function _setCenter(x, y, instant = false) {
+function _setCenter(x, y, instant = false, { scale, clamp = true } = {}) {
   if (!canvas?.animatePan) return;
 
   const opts = { x, y };
 
-  // Respect retainZoom, except in Cinematic camera mode (GM camera drives zoom).
-  if (!game.settings.get(MODULE_ID, "retainZoom") && !(_isCinematicOn() && _isCinematicCameraMode())) {
-    opts.scale = Number(game.settings.get(MODULE_ID, "scale") || 1.0);
+  // Respect retainZoom (unless a zoom is given), except when the GM camera drives zoom.
+  if ((scale !== undefined || !_setting("retainZoom")) && !_isZoomDrivenByGM()) {
+    opts.scale = Number(scale ?? (_setting("scale") || 1.0));
   }
 
+  if (clamp) Object.assign(opts, _clampToCameraBounds({ x, y }, { scale: opts.scale }));
+
   const duration = instant ? 0 : 150;
   try {
     canvas.animatePan({ ...opts, duration });
   } catch (e) {}
 
-  // In any Cinematic, GM camera moves should be propagated to players.
-  if (game.user?.isGM && _isCinematicOn()) {
+  // In any Cinematic, director camera moves should be propagated to players.
+  if (_isDirector() && _isCinematicOn()) {
     _pushGmCameraState("follow").catch(() => {});
   }
 }
@@ -529,19 +1174,531 @@ function _currentCenterWorld() {
 }
 
 // ---------------------------
-// RAF ticker (smoothed follow)
+// Movement look-ahead
 // ---------------------------
-function _startTicker() {
-  if (_rafHandle) return;
-  _lastTs = _now();
-
-  const step = (ts) => {
-    if (!_isFollowActive()) { _stopTicker(); return; }
+const _tokenMotion = new Map(); // token id -> { x, y, ts, vx, vy } (document center, px/s)
+let _lookAheadOffset = { x: 0, y: 0 };
 
-    if (_isMouseHeld()) {
-      _rafHandle = requestAnimationFrame(step);
-      return;
-    }
+/**
+ * Center of a token's document position (where it is going; the placeable may still be animating).
+ */
+function _docCenter(token) {
+  const doc = token.document;
+  return token.getCenterPoint?.({ x: doc.x, y: doc.y })
+    ?? { x: doc.x + token.w / 2, y: doc.y + token.h / 2 };
+}
+
+/**
+ * Final point of the token's planned movement, when Foundry exposes one.
+ */
+function _plannedDestination(token) {
+  const mv = token.document?.movement;
+  if (!mv || mv.state === "completed" || mv.state === "stopped") return null;
+  const wp = mv.pending?.waypoints?.at?.(-1) ?? mv.destination;
+  if (!Number.isFinite(wp?.x) || !Number.isFinite(wp?.y)) return null;
+  return token.getCenterPoint?.(wp) ?? { x: wp.x + token.w / 2, y: wp.y + token.h / 2 };
+}
+
+/**
+ * Update the heading/speed estimate of a token from a position update.
+ */
+function _recordTokenMotion(doc) {
+  const token = doc.object;
+  if (!token) return;
+  const c = _docCenter(token);
+  const ts = _now();
+  const prev = _tokenMotion.get(doc.id);
+
+  let vx = 0, vy = 0;
+  if (prev) {
+    const dt = Math.max(0.016, (ts - prev.ts) / 1000);
+    const alpha = 0.5;
+    vx = prev.vx + (((c.x - prev.x) / dt) - prev.vx) * alpha;
+    vy = prev.vy + (((c.y - prev.y) / dt) - prev.vy) * alpha;
+    // A long pause starts a fresh estimate
+    if ((ts - prev.ts) > _idleMs() * 2) { vx = 0; vy = 0; }
+  }
+  _tokenMotion.set(doc.id, { x: c.x, y: c.y, ts, vx, vy });
+}
+
+/**
+ * Smoothed camera lead for the followed tokens, in world pixels.
+ * Leads toward the remaining movement (planned waypoints or pending animation); once a token
+ * arrives, keeps leading along its recent heading and fades out over the idle threshold.
+ */
+function _getLookAhead(tokens, dt = 1 / SMOOTHING_REFERENCE_FPS) {
+  const squares = Number(game.settings.get(MODULE_ID, "lookAheadDistance") || 0);
+  if (squares <= 0 || !tokens.length) {
+    _lookAheadOffset = { x: 0, y: 0 };
+    return _lookAheadOffset;
+  }
+
+  const maxLead = squares * (canvas?.grid?.size ?? 100);
+  const now = _now();
+  let sx = 0, sy = 0;
+
+  for (const t of tokens) {
+    const center = t.center;
+    const dest = _plannedDestination(t) ?? (t.document ? _docCenter(t) : center);
+    const rx = dest.x - center.x;
+    const ry = dest.y - center.y;
+    const remaining = Math.hypot(rx, ry);
+
+    if (remaining > 1) {
+      const k = Math.min(maxLead, remaining) / remaining;
+      sx += rx * k;
+      sy += ry * k;
+      continue;
+    }
+
+    const m = _tokenMotion.get(t.document?.id);
+    const speed = m ? Math.hypot(m.vx, m.vy) : 0;
+    if (!m || speed < 1) continue;
+    const fade = Math.max(0, 1 - (now - m.ts) / _idleMs());
+    sx += (m.vx / speed) * maxLead * fade;
+    sy += (m.vy / speed) * maxLead * fade;
+  }
+
+  const desired = { x: sx / tokens.length, y: sy / tokens.length };
+  const smoothing = Number(game.settings.get(MODULE_ID, "lookAheadSmoothing") || 0.15);
+  _lookAheadOffset = _smoothPoint({ vx: 0, vy: 0, ..._lookAheadOffset }, desired, dt, smoothing);
+  return _lookAheadOffset;
+}
+
+// ---------------------------
+// Fit group (auto-zoom)
+// ---------------------------
+let _fitScale = null; // smoothed zoom while fitting
+let _fitScaleVel = 0;  // log-zoom velocity (spring model)
+const FIT_ZOOM_SMOOTHING = 0.1;
+
+const _isFitGroupActive = () =>
+  Boolean(game.settings.get(MODULE_ID, "fitGroup"))
+  && !_setting("retainZoom")
+  && !_isZoomDrivenByGM();
+
+/**
+ * Zoom that fits every followed token (bounds + padding) around `center`, within min/max zoom.
+ * Extents are measured in the rotated screen frame, so canvas rotation is honoured.
+ */
+function _computeFitScale(tokens, center) {
+  const screen = canvas?.app?.renderer?.screen;
+  if (!screen || !tokens.length) return null;
+
+  const r = canvas?.stage?.rotation ?? 0;
+  const c = Math.cos(r), sn = Math.sin(r);
+  let halfW = 0, halfH = 0;
+
+  for (const t of tokens) {
+    const b = t.bounds ?? { x: t.x, y: t.y, width: t.w, height: t.h };
+    const corners = [
+      [b.x, b.y], [b.x + b.width, b.y],
+      [b.x, b.y + b.height], [b.x + b.width, b.y + b.height]
+    ];
+    for (const [x, y] of corners) {
+      const dx = x - center.x;
+      const dy = y - center.y;
+      halfW = Math.max(halfW, Math.abs(dx * c - dy * sn));
+      halfH = Math.max(halfH, Math.abs(dx * sn + dy * c));
+    }
+  }
+
+  const pad = Number(game.settings.get(MODULE_ID, "fitPadding") ?? 1) * (canvas?.grid?.size ?? 100);
+  const fit = Math.min((screen.width / 2) / (halfW + pad), (screen.height / 2) / (halfH + pad));
+
+  let min = Number(game.settings.get(MODULE_ID, "fitMinZoom") || 0.3);
+  let max = Number(game.settings.get(MODULE_ID, "fitMaxZoom") || 1.5);
+  if (min > max) [min, max] = [max, min];
+  return Math.min(max, Math.max(min, fit));
+}
+
+/**
+ * Smoothed "fit group" zoom for this frame, or undefined when fitting is off.
+ */
+function _getFitScale(tokens, center, dt = 1 / SMOOTHING_REFERENCE_FPS) {
+  if (!_isFitGroupActive()) { _fitScale = null; _fitScaleVel = 0; return undefined; }
+
+  const desired = _computeFitScale(tokens, center);
+  if (desired == null) return undefined;
+
+  const current = _fitScale ?? canvas?.stage?.scale?.x ?? desired;
+  // Smoothing in log space keeps zoom-in and zoom-out equally smooth
+  const step = _smoothTo(Math.log(current), Math.log(desired), _fitScaleVel, dt, FIT_ZOOM_SMOOTHING);
+  _fitScaleVel = step.vel;
+  _fitScale = Math.exp(step.value);
+  return _fitScale;
+}
+
+// ---------------------------
+// Framing zones (deadzone / hard zone)
+// ---------------------------
+
+/**
+ * World-space offset -> screen pixels, honouring zoom and stage rotation.
+ */
+function _worldToScreenDelta(dx, dy) {
+  const scale = canvas?.stage?.scale?.x ?? 1;
+  const r = canvas?.stage?.rotation ?? 0;
+  const c = Math.cos(r), sn = Math.sin(r);
+  return { x: (dx * c - dy * sn) * scale, y: (dx * sn + dy * c) * scale };
+}
+
+/**
+ * Screen pixels -> world-space offset (inverse of `_worldToScreenDelta`).
+ */
+function _screenToWorldDelta(sx, sy) {
+  const scale = canvas?.stage?.scale?.x || 1;
+  const r = canvas?.stage?.rotation ?? 0;
+  const c = Math.cos(r), sn = Math.sin(r);
+  return { x: (sx * c + sy * sn) / scale, y: (-sx * sn + sy * c) / scale };
+}
+
+const _hasDeadzone = () =>
+  Number(game.settings.get(MODULE_ID, "deadzoneWidth") || 0) > 0
+  || Number(game.settings.get(MODULE_ID, "deadzoneHeight") || 0) > 0;
+
+/**
+ * Split the offset from the view center to the follow target into:
+ *  - soft: the part outside the deadzone, which the camera eases toward;
+ *  - hard: the part outside the hard zone, which the camera must cover right away.
+ * Zones are rectangles centered on the viewport, sized as a fraction of it.
+ */
+function _applyFramingZones(dx, dy) {
+  const screen = canvas?.app?.renderer?.screen;
+  const dzW = Number(game.settings.get(MODULE_ID, "deadzoneWidth") || 0);
+  const dzH = Number(game.settings.get(MODULE_ID, "deadzoneHeight") || 0);
+  const hz = Number(game.settings.get(MODULE_ID, "hardzoneSize") || 0);
+
+  if (!screen || (!dzW && !dzH && !hz)) {
+    return { soft: { x: dx, y: dy }, hard: { x: 0, y: 0 } };
+  }
+
+  const e = _worldToScreenDelta(dx, dy);
+  const axis = (v, size, deadFrac) => {
+    const deadHalf = (size * deadFrac) / 2;
+    const outside = Math.sign(v) * Math.max(0, Math.abs(v) - deadHalf);
+    if (hz <= 0) return { soft: outside, hard: 0 };
+
+    const hardHalf = Math.max(deadHalf, (size * hz) / 2);
+    const hard = Math.sign(v) * Math.max(0, Math.abs(v) - hardHalf);
+    return { soft: outside - hard, hard };
+  };
+
+  const ax = axis(e.x, screen.width, dzW);
+  const ay = axis(e.y, screen.height, dzH);
+  return {
+    soft: _screenToWorldDelta(ax.soft, ay.soft),
+    hard: _screenToWorldDelta(ax.hard, ay.hard)
+  };
+}
+
+// ---------------------------
+// Camera bounds (scene rectangle and bounding Regions)
+// ---------------------------
+const CAMERA_BOUNDS_TYPE = `${MODULE_ID}.cameraBounds`;
+const CAMERA_BOUNDS_TRANSITION_MS = 600;
+// Per caller ("follow" ticker/recenter, "mirror"): which bounds the last clamp used
+// ("scene", a region id, null for none; undefined until the first clamp on this canvas) and since when
+const _cameraBoundsTracks = {
+  follow: { key: undefined, ts: 0 },
+  mirror: { key: undefined, ts: 0 }
+};
+
+/**
+ * Region behavior that keeps the camera inside its region while a followed token is in it.
+ */
+class CameraBoundsBehaviorType extends foundry.data.regionBehaviors.RegionBehaviorType {
+  static defineSchema() {
+    return {};
+  }
+}
+
+/**
+ * First enabled behavior of `type` on a Region of the viewed scene containing `anchor` ({ x, y, elevation }).
+ */
+function _findRegionBehavior(type, anchor) {
+  const point = { x: anchor.x, y: anchor.y, elevation: anchor.elevation ?? 0 };
+  for (const region of canvas?.regions?.placeables ?? []) {
+    const behavior = region.document.behaviors?.find(b => b.type === type && !b.disabled);
+    if (!behavior) continue;
+    try {
+      if (region.document.testPoint(point)) return { region, behavior };
+    } catch (_) {}
+  }
+  return null;
+}
+
+/**
+ * Bounds the camera must stay in around `anchor`: the first enabled camera-bounds Region
+ * containing it, else the scene rectangle when `clampToScene` is on, else none.
+ */
+function _getCameraBounds(anchor) {
+  const found = _findRegionBehavior(CAMERA_BOUNDS_TYPE, anchor);
+  if (found) return { key: found.region.document.id, rect: found.region.bounds };
+  if (_setting("clampToScene") && canvas?.dimensions?.sceneRect) {
+    return { key: "scene", rect: canvas.dimensions.sceneRect };
+  }
+  return null;
+}
+
+/**
+ * Clamp a camera center so the view (at `scale`, current rotation) stays inside the bounds
+ * found around `anchor` (defaults to the point itself). Bounds smaller than the view center it.
+ */
+function _clampToCameraBounds(point, { scale, anchor = point, track = "follow" } = {}) {
+  const bounds = _getCameraBounds(anchor);
+  const key = bounds?.key ?? null;
+  const state = _cameraBoundsTracks[track];
+  if (key !== state.key) {
+    // The first bounds on a canvas are not a transition
+    if (state.key !== undefined) state.ts = _now();
+    state.key = key;
+  }
+
+  const screen = canvas?.app?.renderer?.screen;
+  if (!bounds || !screen) return { x: point.x, y: point.y };
+
+  const s = Number(scale ?? canvas.stage?.scale?.x ?? 1) || 1;
+  const r = canvas.stage?.rotation ?? 0;
+  const cos = Math.abs(Math.cos(r)), sin = Math.abs(Math.sin(r));
+  const w = screen.width / s, h = screen.height / s;
+  const halfW = (cos * w + sin * h) / 2;
+  const halfH = (sin * w + cos * h) / 2;
+
+  const { x, y, width, height } = bounds.rect;
+  const axis = (v, min, size, half) =>
+    size <= half * 2 ? min + size / 2 : Math.min(Math.max(v, min + half), min + size - half);
+  return { x: axis(point.x, x, width, halfW), y: axis(point.y, y, height, halfH) };
+}
+
+/**
+ * Whether the camera recently switched bounds (e.g. a token walked into another bounded room).
+ */
+const _isCameraBoundsTransition = (now = _now(), track = "follow") =>
+  (now - _cameraBoundsTracks[track].ts) < CAMERA_BOUNDS_TRANSITION_MS;
+
+/**
+ * Forget the bounds in use (canvas torn down, so the next scene starts fresh).
+ */
+function _resetCameraBounds() {
+  for (const state of Object.values(_cameraBoundsTracks)) {
+    state.key = undefined;
+    state.ts = 0;
+  }
+}
+
+// ---------------------------
+// Camera Region behaviors (focus, Cinematic trigger, zoom override, pause follow)
+// ---------------------------
+const CAMERA_FOCUS_TYPE = `${MODULE_ID}.cameraFocus`;
+const START_CINEMATIC_TYPE = `${MODULE_ID}.startCinematic`;
+const ZOOM_OVERRIDE_TYPE = `${MODULE_ID}.zoomOverride`;
+const PAUSE_FOLLOW_TYPE = `${MODULE_ID}.pauseFollow`;
+
+let _zoneScale = null;   // eased zoom of zoom-override Regions (null = none)
+let _zoneScaleVel = 0;
+
+/**
+ * Disable a "once" behavior after it fired (active GM only, so it happens once).
+ */
+async function _disableOnceBehavior(behavior) {
+  if (!behavior.system.once || !game.users?.activeGM?.isSelf) return;
+  try { await behavior.update({ disabled: true }); } catch (e) { console.warn("[FTT] disable behavior failed:", e); }
+}
+
+/**
+ * Region behavior: when a token enters, animate the camera to a saved shot or a point.
+ * During Camera-mode Cinematic the director's camera moves (players mirror it);
+ * otherwise the camera of the user who moved the token.
+ */
+class CameraFocusBehaviorType extends foundry.data.regionBehaviors.RegionBehaviorType {
+  static LOCALIZATION_PREFIXES = ["CFT.Regions.cameraFocus"];
+
+  static defineSchema() {
+    const fields = foundry.data.fields;
+    return {
+      shot: new fields.StringField({ blank: true }),
+      x: new fields.NumberField({ nullable: true, initial: null }),
+      y: new fields.NumberField({ nullable: true, initial: null }),
+      scale: new fields.NumberField({ nullable: true, initial: null, min: 0.1, max: 3, step: 0.05 }),
+      duration: new fields.NumberField({ required: true, nullable: false, initial: 1500, min: 0, max: 10000, step: 100 }),
+      once: new fields.BooleanField({ initial: false })
+    };
+  }
+
+  static events = {
+    [CONST.REGION_EVENTS.TOKEN_ENTER]: this.#onTokenEnter
+  };
+
+  static async #onTokenEnter(event) {
+    _disableOnceBehavior(this.parent);
+    if (this.region.parent?.id !== canvas?.scene?.id) return;
+
+    const cameraMode = _isCinematicOn() && _isCinematicCameraMode();
+    if (cameraMode ? !_isDirector() : (!event.user.isSelf || _isCinematicLockedForMe())) return;
+
+    const view = this.getView();
+    if (!view) return;
+    await _tweenCameraTo(view, { duration: this.duration, easing: game.settings.get(MODULE_ID, "shotEasing") });
+    await _pushGmCameraState("region", { keyframe: true });
+  }
+
+  /**
+   * Target view: the named shot, else the point (default: the Region center), at the current zoom unless set.
+   */
+  getView() {
+    const current = _buildGmCameraState("region");
+    if (!current) return null;
+    const shot = this.shot ? _findShot(this.shot, this.region.parent) : null;
+    if (shot) return { ...current, ...shot };
+
+    const b = this.region.object?.bounds;
+    return {
+      ...current,
+      x: this.x ?? (b ? b.x + b.width / 2 : current.x),
+      y: this.y ?? (b ? b.y + b.height / 2 : current.y),
+      scale: this.scale ?? current.scale
+    };
+  }
+}
+
+/**
+ * Region behavior: a token entering starts Cinematic (or adds to it) for the players owning it.
+ * With `endOnExit`, they are released when their last token leaves.
+ */
+class StartCinematicBehaviorType extends foundry.data.regionBehaviors.RegionBehaviorType {
+  static LOCALIZATION_PREFIXES = ["CFT.Regions.startCinematic"];
+
+  static defineSchema() {
+    const fields = foundry.data.fields;
+    return {
+      style: new fields.StringField({
+        blank: true,
+        initial: "",
+        choices: { "": "CFT.Regions.startCinematic.styleKeep", classic: "CFT.Cinematic.modeClassic", camera: "CFT.Cinematic.modeCamera" }
+      }),
+      endOnExit: new fields.BooleanField({ initial: true }),
+      once: new fields.BooleanField({ initial: false })
+    };
+  }
+
+  static events = {
+    [CONST.REGION_EVENTS.TOKEN_ENTER]: this.#onTokenEnter,
+    [CONST.REGION_EVENTS.TOKEN_EXIT]: this.#onTokenExit
+  };
+
+  static async #onTokenEnter(event) {
+    if (!game.users?.activeGM?.isSelf) return;
+    const owners = _getTokenOwnerIds([{ document: event.data.token }]);
+    if (!owners.length) return;
+    _disableOnceBehavior(this.parent);
+
+    // Already on for every player: nothing to add
+    const on = _isCinematicOn();
+    const members = _getCinematicMembers();
+    if (on && !members.length) return;
+
+    // Remember who this Region added, so leaving it only releases those players
+    const added = on ? owners.filter(id => !members.includes(id)) : owners;
+    const tracked = on ? (this.parent.getFlag(MODULE_ID, "cinematicUsers") ?? []) : [];
+    await this.parent.setFlag(MODULE_ID, "cinematicUsers", [...new Set([...tracked, ...added])]);
+    await _setCinematic(true, { members: on ? [...members, ...added] : owners, style: this.style || null });
+  }
+
+  static async #onTokenExit(event) {
+    if (!this.endOnExit || !game.users?.activeGM?.isSelf || !_isCinematicOn()) return;
+
+    // Players that still have a token inside stay in
+    const inside = new Set(_getTokenOwnerIds([...(this.region.tokens ?? [])].map(doc => ({ document: doc }))));
+    const tracked = this.parent.getFlag(MODULE_ID, "cinematicUsers") ?? [];
+    const leaving = _getTokenOwnerIds([{ document: event.data.token }])
+      .filter(id => !inside.has(id) && tracked.includes(id));
+    if (!leaving.length) return;
+    await this.parent.setFlag(MODULE_ID, "cinematicUsers", tracked.filter(id => !leaving.includes(id)));
+
+    // Cinematic turned on for every player since then: not ours to narrow
+    const members = _getCinematicMembers();
+    if (!members.length) return;
+    const rest = members.filter(id => !leaving.includes(id));
+    await _setCinematic(rest.length > 0, { members: rest });
+  }
+}
+
+/**
+ * Region behavior: while the followed tokens are inside, the follow camera uses this zoom.
+ */
+class ZoomOverrideBehaviorType extends foundry.data.regionBehaviors.RegionBehaviorType {
+  static LOCALIZATION_PREFIXES = ["CFT.Regions.zoomOverride"];
+
+  static defineSchema() {
+    const fields = foundry.data.fields;
+    return {
+      scale: new fields.NumberField({ required: true, nullable: false, initial: 1.5, min: 0.1, max: 3, step: 0.05 })
+    };
+  }
+}
+
+/**
+ * Region behavior: while the followed tokens are inside, the follow camera holds still.
+ */
+class PauseFollowBehaviorType extends foundry.data.regionBehaviors.RegionBehaviorType {
+  static defineSchema() {
+    return {};
+  }
+}
+
+/**
+ * Zoom from a zoom-override Region around `anchor`, eased in and (unless zoom is retained) back out.
+ * Undefined when no override applies or the GM camera drives zoom.
+ */
+function _getZoneScale(anchor, dt = 1 / SMOOTHING_REFERENCE_FPS) {
+  const zone = _isZoomDrivenByGM() ? null : _findRegionBehavior(ZOOM_OVERRIDE_TYPE, anchor);
+  let desired = zone ? Number(zone.behavior.system.scale) : null;
+
+  if (desired == null) {
+    if (_zoneScale == null) return undefined;
+    desired = Number(_setting("scale") || 1.0);
+    if (_setting("retainZoom") || _isZoomDrivenByGM() || Math.abs(Math.log(_zoneScale / desired)) < 1e-3) {
+      _zoneScale = null;
+      _zoneScaleVel = 0;
+      return undefined;
+    }
+  }
+
+  const current = _zoneScale ?? canvas?.stage?.scale?.x ?? desired;
+  const step = _smoothTo(Math.log(current), Math.log(desired), _zoneScaleVel, dt, FIT_ZOOM_SMOOTHING);
+  _zoneScaleVel = step.vel;
+  _zoneScale = Math.exp(step.value);
+  return _zoneScale;
+}
+
+/**
+ * Whether a pause-follow Region holds the camera around `anchor`.
+ */
+const _isFollowPausedAt = (anchor) => Boolean(_findRegionBehavior(PAUSE_FOLLOW_TYPE, anchor));
+
+/**
+ * Where Regions are tested for the followed group: its center at the average elevation.
+ */
+function _getFollowAnchor(tokens, center) {
+  const elevation = tokens.reduce((sum, t) => sum + (t.document.elevation ?? 0), 0) / tokens.length;
+  return { x: center.x, y: center.y, elevation };
+}
+
+// ---------------------------
+// RAF ticker (smoothed follow)
+// ---------------------------
+function _startTicker() {
+  if (_rafHandle) return;
+  _lastTs = _now();
+
+  const step = (ts) => {
+    if (!_isFollowActive()) { _stopTicker(); return; }
+
+    if (_isMouseHeld()) {
+      _rafHandle = requestAnimationFrame(step);
+      return;
+    }
 
     if (!_isMoving(ts) && _isSuppressed()) {
       const n = (canvas?.tokens?.controlled ?? []).length;
@@ -551,19 +1708,36 @@ function _startTicker() {
     const tokens = _getFollowTokens();
     if (!tokens.length) { _stopTicker(); return; }
 
-    const dt = Math.max(0.001, (ts - _lastTs) / 1000);
+    // Clamped so a stalled tab does not produce one huge step
+    const dt = Math.min(0.25, Math.max(0.001, (ts - _lastTs) / 1000));
     _lastTs = ts;
 
     const cur = _currentCenterWorld();
-    const target = _getGroupCenter(tokens);
-    if (target) {
-      const dx = target.x - cur.x;
-      const dy = target.y - cur.y;
-      const resp = Number(game.settings.get(MODULE_ID, "responsiveness") || 0.5);
-      let stepX = dx * resp;
-      let stepY = dy * resp;
-
-      const maxSpd = Number(game.settings.get(MODULE_ID, "maxSpeed") || 0);
+    const center = _getGroupCenter(tokens, dt);
+    const anchor = center ? _getFollowAnchor(tokens, center) : null;
+    if (anchor && _isFollowPausedAt(anchor)) {
+      _cameraVel = { x: 0, y: 0 };
+    } else if (center) {
+      const lead = _getLookAhead(tokens, dt);
+      const fitScale = _getFitScale(tokens, { x: center.x + lead.x, y: center.y + lead.y }, dt);
+      const scale = _getZoneScale(anchor, dt) ?? fitScale;
+      const target = _clampToCameraBounds(
+        { x: center.x + lead.x, y: center.y + lead.y },
+        { scale, anchor }
+      );
+      const { soft, hard } = _applyFramingZones(target.x - cur.x, target.y - cur.y);
+      // Crossing into other bounds eases over instead of snapping through the hard zone
+      if (_isCameraBoundsTransition(ts)) {
+        soft.x += hard.x; soft.y += hard.y;
+        hard.x = 0; hard.y = 0;
+      }
+      // Ease over the part of the offset outside the deadzone (the camera is at 0, heading to `soft`)
+      const resp = Number(_setting("responsiveness") || 0.5);
+      const eased = _smoothPoint({ x: 0, y: 0, vx: _cameraVel.x, vy: _cameraVel.y }, soft, dt, resp);
+      let stepX = eased.x;
+      let stepY = eased.y;
+
+      const maxSpd = Number(_setting("maxSpeed") || 0);
       if (maxSpd > 0) {
         const len = Math.hypot(stepX, stepY);
         const cap = maxSpd * dt;
@@ -574,7 +1748,15 @@ function _startTicker() {
         }
       }
 
-      _setCenter(cur.x + stepX, cur.y + stepY, true);
+      _cameraVel = { x: stepX / dt, y: stepY / dt };
+      if (!soft.x && !soft.y) _cameraVel = { x: 0, y: 0 };
+
+      // The hard zone is never eased nor capped: the camera catches up at once
+      stepX += hard.x;
+      stepY += hard.y;
+
+      const zooming = scale !== undefined && Math.abs(scale - (canvas.stage?.scale?.x ?? scale)) > 1e-4;
+      if (stepX || stepY || zooming) _setCenter(cur.x + stepX, cur.y + stepY, true, { scale, clamp: false });
     }
 
     if (!_isMoving(ts) && _isSuppressed()) { _stopTicker(); return; }
@@ -587,6 +1769,10 @@ function _startTicker() {
 function _stopTicker() {
   if (_rafHandle) cancelAnimationFrame(_rafHandle);
   _rafHandle = null;
+  _lookAheadOffset = { x: 0, y: 0 };
+  _cameraVel = { x: 0, y: 0 };
+  _fitScale = null;
+  _fitScaleVel = 0;
 }
 
 // ---------------------------
@@ -600,7 +1786,7 @@ function _bindDomMouseBlockers() {
     const btn = e.button;
 
     // In any Cinematic, prevent MMB/RMB pans for players
-    if (_isCinematicOn() && !game.user?.isGM && (btn === 1 || btn === 2)) {
+    if (_isCinematicLockedForMe() && (btn === 1 || btn === 2)) {
       try { e.stopImmediatePropagation?.(); } catch (_) {}
       try { e.stopPropagation?.(); } catch (_) {}
       try { e.preventDefault?.(); } catch (_) {}
@@ -621,7 +1807,7 @@ function _bindDomMouseBlockers() {
   _domHandlers.pointerdown = (e) => { blockIfMovingOrCinematic(e); };
   _domHandlers.mousedown   = (e) => { blockIfMovingOrCinematic(e); };
   _domHandlers.contextmenu = (e) => {
-    if (_isCinematicOn() && !game.user?.isGM) {
+    if (_isCinematicLockedForMe()) {
       try { e.preventDefault?.(); e.stopImmediatePropagation?.(); } catch (_) {}
       return;
     }
@@ -633,7 +1819,7 @@ function _bindDomMouseBlockers() {
 
   // Mouse wheel: block zoom for players in Cinematic
   _domHandlers.wheel = (e) => {
-    if (_isCinematicOn() && !game.user?.isGM) {
+    if (_isCinematicLockedForMe()) {
       try { e.preventDefault?.(); } catch (_) {}
       try { e.stopImmediatePropagation?.(); } catch (_) {}
       try { e.stopPropagation?.(); } catch (_) {}
@@ -695,7 +1881,7 @@ function _onPointerDownStage(ev) {
   if (btn !== 0 && btn !== 1 && btn !== 2) return;
 
   // In Cinematic, players cannot pan with MMB/RMB
-  if (_isCinematicOn() && !game.user?.isGM && (btn === 1 || btn === 2)) {
+  if (_isCinematicLockedForMe() && (btn === 1 || btn === 2)) {
     try { ev.stopPropagation?.(); } catch (_) {}
     try { ev?.data?.originalEvent?.stopImmediatePropagation?.(); } catch (_) {}
     try { ev?.data?.originalEvent?.preventDefault?.(); } catch (_) {}
@@ -748,12 +1934,30 @@ function _onPointerUpStage(ev) {
 // ---------------------------
 // Event wiring (enabled, force, cinematic, mode)
 // ---------------------------
+let _followWasActive = false;
+
+/**
+ * Something that affects following changed: tell the GM, and fire
+ * `followTheToken.followStart` / `followStop` when follow turns on/off on this client.
+ */
+function _onFollowStateChanged() {
+  _reportUserStatus();
+  const active = _isFollowActive();
+  if (active === _followWasActive) return;
+  _followWasActive = active;
+  Hooks.callAll(active ? "followTheToken.followStart" : "followTheToken.followStop", {
+    user: game.user,
+    tokens: _getFollowedTokenObjects()
+  });
+}
 
 /**
  * Local enabled/disabled (Alt+F) changed.
  */
 function _onEnabledChanged(enabled) {
-  try { ui?.controls?.render(); } catch (_) {}
+  _refreshSceneControls();
+  _onFollowStateChanged();
+  _directorApp?.render();
   if (!canvas?.ready) return;
 
   if (enabled) {
@@ -771,15 +1975,47 @@ function _onEnabledChanged(enabled) {
   }
 }
 
+/**
+ * Spectate toggle or follow-target list changed.
+ */
+function _onSpectateChanged() {
+  if (_writingFollowTargets) return;
+  _refreshSceneControls();
+  _onFollowStateChanged();
+  _directorApp?.render();
+  if (!canvas?.ready) return;
+
+  if (_isSpectating()) {
+    _forceCancelPanButtons();
+    _suppressUntilTs = 0;
+    const center = _getGroupCenter(_getFollowTokens());
+    if (center) _setCenter(center.x, center.y, false);
+    _lastMoveTs = _now();
+    _startTicker();
+  } else if (!_isFollowActive()) {
+    _stopTicker();
+  } else {
+    // Back to controlled tokens
+    const center = _getGroupCenter(_getFollowTokens());
+    if (center) _setCenter(center.x, center.y, false);
+  }
+}
+
 /**
  * Force Follow (GM world toggle) changed.
  */
 function _onForceChanged(active) {
-  try { ui?.controls?.render(); } catch (_) {}
+  _clearGmAbsent();
+  _refreshSceneControls();
+  _onFollowStateChanged();
+  _directorApp?.render();
 
-  if (active) {
-    if (game.user?.isGM) {
-      ui.notifications?.warn(game.i18n.localize("CFT.Force.enabledGM"));
+  if (game.user?.isGM) {
+    if (active) {
+      const members = _getForceMembers();
+      ui.notifications?.warn(members.length
+        ? game.i18n.format("CFT.Force.enabledGMMembers", { names: _formatUserNames(members) })
+        : game.i18n.localize("CFT.Force.enabledGM"));
       if (_isLocalEnabled()) {
         const center = _getGroupCenter(_getFollowTokens());
         if (center) _setCenter(center.x, center.y, true);
@@ -787,22 +2023,47 @@ function _onForceChanged(active) {
         _startTicker();
       }
     } else {
-      ui.notifications?.warn(game.i18n.localize("CFT.Force.enabledPlayer"));
-      const center = _getGroupCenter(_getFollowTokens());
-      if (center) _setCenter(center.x, center.y, true);
-      _lastMoveTs = _now();
-      _startTicker();
-    }
-  } else {
-    if (game.user?.isGM) {
       ui.notifications?.warn(game.i18n.localize("CFT.Force.disabledGM"));
-    } else {
-      ui.notifications?.warn(game.i18n.localize("CFT.Force.disabledPlayer"));
+      if (!_isFollowActive()) _stopTicker();
     }
+  }
+  _syncForceForMe();
+
+  _renderGMBanners();
+}
 
+/**
+ * Player side: apply or release Force Follow when this user's effective state
+ * (world toggle + membership) differs from what is currently applied.
+ */
+function _syncForceForMe() {
+  const active = _isForceOnForMe();
+  if (active === _forceAppliedForMe) return;
+  _forceAppliedForMe = active;
+
+  if (active) {
+    ui.notifications?.warn(game.i18n.localize("CFT.Force.enabledPlayer"));
+    const center = _getGroupCenter(_getFollowTokens());
+    if (center) _setCenter(center.x, center.y, true);
+    _lastMoveTs = _now();
+    _startTicker();
+  } else {
+    ui.notifications?.warn(game.i18n.localize(_suspensions.has("gmAbsent")
+      ? "CFT.Force.suspended"
+      : "CFT.Force.disabledPlayer"));
     if (!_isFollowActive()) _stopTicker();
   }
+}
 
+/**
+ * Force Follow membership changed (GM targeted a different set of players).
+ */
+function _onForceMembersChanged() {
+  _clearGmAbsent();
+  _refreshSceneControls();
+  _onFollowStateChanged();
+  _directorApp?.render();
+  _syncForceForMe();
   _renderGMBanners();
 }
 
@@ -811,10 +2072,13 @@ function _onForceChanged(active) {
  */
 function _onCinematicModeChanged(isCameraMode) {
   const camMode = Boolean(isCameraMode);
+  _refreshSceneControls();
+  _onFollowStateChanged();
+  _directorApp?.render();
 
-  if (!game.settings.get(MODULE_ID, "gmCinematic")) return;
+  if (!_isCinematicOnForMe()) return;
 
-  if (!game.user?.isGM) {
+  if (!_isDirector()) {
     const state = _getGmCameraState();
     if (state) _applyGmCameraState(state, { instant: true });
     return;
@@ -836,198 +2100,2171 @@ function _onCinematicModeChanged(isCameraMode) {
     _lastMoveTs = _now();
     _startTicker();
 
-    _pushGmCameraState("modeSwitchClassic").catch(() => {});
+    _pushGmCameraState("modeSwitchClassic", { keyframe: true }).catch(() => {});
     _startGmCameraWatcher();
   } else {
     if (!currentlyEnabled) {
       _stopTicker();
     }
-    _pushGmCameraState("modeSwitchCamera").catch(() => {});
+    _pushGmCameraState("modeSwitchCamera", { keyframe: true }).catch(() => {});
     _startGmCameraWatcher();
   }
 }
 
 /**
- * World toggle gmCinematic changed (Cinematic on/off).
+ * World toggle gmCinematic (or its membership) changed.
  */
-async function _onCinematicChanged(active) {
-  try { ui?.controls?.render(); } catch (_) {}
+async function _onCinematicChanged() {
+  await _clearGmAbsent();
+  _refreshSceneControls();
+  _onFollowStateChanged();
+  _directorApp?.render();
+  _checkCinematicScene();
+  await _syncCinematicForMe();
+  _renderGMBanners();
+}
 
-  const camMode = _isCinematicCameraMode();
+/**
+ * Enter or leave Cinematic on this client when its effective state
+ * (world toggle + membership) differs from what is currently applied.
+ */
+async function _syncCinematicForMe() {
+  const active = _isCinematicOnForMe();
+  if (active === _cinAppliedForMe) return;
+  _cinAppliedForMe = active;
+
+  if (active) await _enterCinematic();
+  else await _exitCinematic();
+  Hooks.callAll(active ? "followTheToken.cinematicStart" : "followTheToken.cinematicEnd", {
+    style: _isCinematicCameraMode() ? "camera" : "classic",
+    members: _getCinematicMembers()
+  });
+  _onFollowStateChanged();
+}
 
-  if (active) {
-    const center = _currentCenterWorld();
-    const rotation = canvas?.stage?.rotation ?? 0;
-    const beforeEnabled = _isLocalEnabled();
-    const lockedTokenIds = (canvas?.tokens?.controlled ?? []).map(t => t.document.id);
-
-    const controlsState = ui?.controls ? {
-      collapsed: ui.controls._collapsed ?? false,
-      activeControl: ui.controls.activeControl ?? null
-    } : null;
-
-    const snap = {
-      enabled: beforeEnabled,
-      scaleWasRetained: Boolean(game.settings.get(MODULE_ID, "retainZoom")),
-      scale: Number(game.settings.get(MODULE_ID, "scale") || 1.0),
-      center,
-      rotation,
-      modeAtStart: camMode ? "camera" : "classic",
-      preClassicEnabledGM: (game.user?.isGM && !camMode) ? beforeEnabled : null,
-      lockedTokenIds,
-      controls: controlsState
-    };
-    try { await game.settings.set(MODULE_ID, "cinSnapshot", snap); } catch (_) {}
+/**
+ * Player: suspend/resume Cinematic (and Force for "gmAbsent") locally for `reason`.
+ */
+async function _setSuspended(reason, on) {
+  if (on === _suspensions.has(reason)) return;
+  if (on) _suspensions.add(reason);
+  else _suspensions.delete(reason);
+  _syncForceForMe();
+  await _syncCinematicForMe();
+  _refreshSceneControls();
+  _reportUserStatus();
+}
 
-    if (game.user?.isGM) {
-      ui.notifications?.error(game.i18n.localize("CFT.Cinematic.enabledGM"));
-    } else {
-      ui.notifications?.error(game.i18n.localize("CFT.Cinematic.enabledPlayer"));
-    }
+const _canViewScene = (sceneId) => Boolean(game.scenes?.get(sceneId)?.testUserPermission(game.user, "LIMITED"));
 
-    // Player path: lock canvas interaction and sync to GM camera
-    if (!game.user?.isGM) {
-      const stage = canvas?.stage;
-      if (stage) {
-        _prevStageEventMode = stage.eventMode ?? "static";
-        _prevStageInteractiveChildren = stage.interactiveChildren;
-        stage.eventMode = "none";
-        stage.interactiveChildren = false;
-      }
+/**
+ * Switch this client to another scene (GM pull, resync, cross-scene Cinematic).
+ * Returns false when the scene is missing or this user may not view it.
+ */
+async function _viewScene(sceneId) {
+  const scene = game.scenes?.get(sceneId);
+  if (!scene || _pullingSceneId === sceneId || !_canViewScene(sceneId)) return false;
+  _pullingSceneId = sceneId;
+  try {
+    await scene.view();
+  } finally {
+    _pullingSceneId = null;
+  }
+  return true;
+}
 
-      if (ui?.controls) {
-        ui.controls._collapsed = true;
-        ui.controls.activeControl = null;
-        ui.controls.render(true);
-      }
+/**
+ * Player: during Cinematic, the GM camera may be on another scene than ours.
+ * "pull" follows the GM there (canvasReady re-locks and re-applies the camera);
+ * "release" suspends Cinematic here until we share a scene again.
+ */
+function _checkCinematicScene(state = _getGmCameraState()) {
+  if (_isDirector() || !canvas?.scene) return;
+  const elsewhere = _isCinematicTargetingMe() && Boolean(state?.sceneId) && state.sceneId !== canvas.scene.id;
 
-      const state = _getGmCameraState();
-      _applyGmCameraState(state, { instant: true });
-      _renderGMBanners();
-      return;
+  // A scene this user may not view cannot be followed into: release instead
+  if (game.settings.get(MODULE_ID, "cinematicSceneChange") === "release" || (elsewhere && !_canViewScene(state.sceneId))) {
+    _setSuspended("scene", elsewhere);
+    return;
+  }
+
+  _setSuspended("scene", false);
+  if (elsewhere && _pullingSceneId !== state.sceneId) {
+    ui.notifications?.info(game.i18n.localize("CFT.Cinematic.pulled"));
+    _viewScene(state.sceneId);
+  }
+}
+
+/**
+ * Snapshot this client and apply Cinematic (player lock or GM broadcast).
+ */
+async function _enterCinematic() {
+  const camMode = _isCinematicCameraMode();
+  _cinAsDirector = _isDirector();
+
+  const center = _currentCenterWorld();
+  const rotation = canvas?.stage?.rotation ?? 0;
+  const beforeEnabled = _isLocalEnabled();
+  const lockedTokenIds = (canvas?.tokens?.controlled ?? []).map(t => t.document.id);
+
+  const controlsState = ui?.controls ? {
+    collapsed: ui.controls._collapsed ?? false,
+    activeControl: ui.controls.activeControl ?? null
+  } : null;
+
+  const snap = {
+    enabled: beforeEnabled,
+    scaleWasRetained: Boolean(_setting("retainZoom")),
+    scale: Number(_setting("scale") || 1.0),
+    center,
+    rotation,
+    modeAtStart: camMode ? "camera" : "classic",
+    preClassicEnabledGM: (_cinAsDirector && !camMode) ? beforeEnabled : null,
+    lockedTokenIds,
+    controls: controlsState,
+    presentation: _cinAsDirector ? null : _capturePresentationState()
+  };
+  try { await game.settings.set(MODULE_ID, "cinSnapshot", snap); } catch (_) {}
+
+  if (_cinAsDirector) {
+    const members = _getCinematicMembers();
+    ui.notifications?.error(members.length
+      ? game.i18n.format("CFT.Cinematic.enabledGMMembers", { names: _formatUserNames(members) })
+      : game.i18n.localize("CFT.Cinematic.enabledGM"));
+  } else {
+    ui.notifications?.error(game.i18n.localize("CFT.Cinematic.enabledPlayer"));
+  }
+
+  // Player path: lock canvas interaction and sync to GM camera
+  if (!_cinAsDirector) {
+    const stage = canvas?.stage;
+    if (stage) {
+      _prevStageEventMode = stage.eventMode ?? "static";
+      _prevStageInteractiveChildren = stage.interactiveChildren;
+      stage.eventMode = "none";
+      stage.interactiveChildren = false;
+    }
+
+    if (ui?.controls) {
+      ui.controls._collapsed = true;
+      ui.controls.activeControl = null;
+      ui.controls.render(true);
+    }
+
+    _applyPresentation();
+
+    // The setting only holds the state Cinematic started with: ask the director for the current one
+    if (!_cameraRemote) _requestGmCameraKeyframe();
+    const state = _getGmCameraState();
+    _applyGmCameraState(state, { instant: true });
+    return;
+  }
+
+  // GM path
+  if (camMode) {
+    await _pushGmCameraState("cinCameraOn", { persist: true });
+    _startGmCameraWatcher();
+    return;
+  }
+
+  if (!beforeEnabled) {
+    await game.settings.set(MODULE_ID, "enabled", true);
+  }
+
+  const c = _getGroupCenter(_getFollowTokens());
+  if (c) _setCenter(c.x, c.y, true);
+  _lastMoveTs = _now();
+  _startTicker();
+
+  await _pushGmCameraState("cinClassicOn", { persist: true });
+  _startGmCameraWatcher();
+}
+
+/**
+ * Leave Cinematic on this client and restore it from the snapshot.
+ * `quiet` skips the notifications (role handed over while Cinematic goes on).
+ */
+async function _exitCinematic({ quiet = false } = {}) {
+  if (!_cinAsDirector) _stopCameraEffects();
+  _lastVisiblePoints.clear();
+  _stopGmCameraWatcher();
+  _resetGmCameraBroadcast();
+  _resetMirror();
+  _resetRemoteCamera();
+
+  const snap = _getCinSnapshot();
+  const wasFollowEnabled = !!(snap?.enabled);
+  const snapRotation = typeof snap?.rotation === "number" ? snap.rotation : 0;
+
+  if (_cinAsDirector) {
+    const camModeNow = _isCinematicCameraMode();
+    const preClassic = (snap && typeof snap.preClassicEnabledGM === "boolean")
+      ? snap.preClassicEnabledGM
+      : wasFollowEnabled;
+
+    if (camModeNow) {
+      const stillEnabled = _isLocalEnabled();
+      if (stillEnabled) {
+        _lastMoveTs = _now();
+        _startTicker();
+      } else {
+        _stopTicker();
+      }
+    } else {
+      await game.settings.set(MODULE_ID, "enabled", preClassic);
+      if (preClassic) {
+        _lastMoveTs = _now();
+        _startTicker();
+      } else {
+        _stopTicker();
+      }
+    }
+
+    if (quiet) return;
+    ui.notifications?.error(game.i18n.localize("CFT.Cinematic.disabledGM"));
+    if (_isForceOn()) {
+      ui.notifications?.warn(game.i18n.localize("CFT.Cinematic.reminderForceGM"));
+    }
+  } else {
+    // Player restore path
+    const stage = canvas?.stage;
+    if (stage) {
+      stage.eventMode = _prevStageEventMode ?? "static";
+      stage.interactiveChildren = (_prevStageInteractiveChildren ?? true);
+      stage.rotation = snapRotation;
+    }
+
+    // Let the compass / rotate-camera-8d know the rotation went back to the player's own
+    _notifyRotation(stage?.rotation ?? 0, snap?.center ?? _currentCenterWorld());
+
+    _restorePresentation(snap?.presentation);
+    if (snap?.controls && ui?.controls) {
+      try {
+        ui.controls._collapsed = snap.controls.collapsed;
+        ui.controls.activeControl = snap.controls.activeControl;
+        ui.controls.render(true);
+      } catch (_) {}
+    }
+
+    await game.settings.set(MODULE_ID, "enabled", wasFollowEnabled);
+
+    const opts = { x: snap?.center?.x ?? 0, y: snap?.center?.y ?? 0 };
+    if (!snap?.scaleWasRetained) opts.scale = Number(snap?.scale || 1.0);
+    try { canvas.animatePan({ ...opts, duration: 150 }); } catch (_) {}
+
+    if (wasFollowEnabled) {
+      _lastMoveTs = _now();
+      _startTicker();
+    } else if (!_isFollowActive()) {
+      _stopTicker();
+    }
+
+    if (quiet) return;
+    const suspension = [..._suspensions][0];
+    ui.notifications?.error(game.i18n.localize(suspension
+      ? `CFT.Cinematic.suspended.${suspension}`
+      : "CFT.Cinematic.disabledPlayer"));
+    if (_isForceOnForMe()) {
+      ui.notifications?.warn(game.i18n.localize("CFT.Cinematic.reminderForcePlayer"));
+    }
+  }
+}
+
+// ---------------------------
+// Cinematic presentation (letterbox, hidden UI) for players
+// ---------------------------
+const PRESENTATION_UI_REGIONS = {
+  presentationHideSidebar: "#sidebar",
+  presentationHideHotbar: "#hotbar",
+  presentationHidePlayers: "#players",
+  presentationHideNavigation: "#scene-navigation"
+};
+const PRESENTATION_TRANSITION_MS = 600;
+
+let _presentationPreview = null; // GM preview: UI state captured before previewing
+let _letterboxRemoveTimer = null; // pending removal of the bars after they slid out
+
+/**
+ * Inline styles of the UI regions we may hide, so exiting restores them exactly.
+ */
+function _capturePresentationState() {
+  const regions = {};
+  for (const [key, selector] of Object.entries(PRESENTATION_UI_REGIONS)) {
+    const el = document.querySelector(selector);
+    if (!el) continue;
+    regions[key] = {
+      opacity: el.style.opacity,
+      pointerEvents: el.style.pointerEvents,
+      transition: el.style.transition
+    };
+  }
+  return { regions };
+}
+
+function _getLetterboxBars() {
+  // Bars still sliding out are reused, so cancel their removal
+  if (_letterboxRemoveTimer) clearTimeout(_letterboxRemoveTimer);
+  _letterboxRemoveTimer = null;
+
+  let bars = document.querySelectorAll(".ftt-letterbox");
+  if (bars.length === 2) return bars;
+
+  for (const edge of ["top", "bottom"]) {
+    const bar = document.createElement("div");
+    bar.className = "ftt-letterbox";
+    bar.style.position = "fixed";
+    bar.style.left = "0";
+    bar.style.right = "0";
+    bar.style[edge] = "0";
+    bar.style.height = "0";
+    bar.style.background = "#000";
+    bar.style.zIndex = "60";
+    bar.style.pointerEvents = "none";
+    bar.style.transition = `height ${PRESENTATION_TRANSITION_MS}ms ease-in-out`;
+    document.body.appendChild(bar);
+  }
+  return document.querySelectorAll(".ftt-letterbox");
+}
+
+/**
+ * Animate the letterbox bars and fade out the configured UI regions.
+ */
+function _applyPresentation() {
+  const size = Number(game.settings.get(MODULE_ID, "presentationLetterbox") || 0);
+  if (size > 0) {
+    const bars = _getLetterboxBars();
+    // Next frame, so the height transition runs from 0
+    requestAnimationFrame(() => bars.forEach(bar => { bar.style.height = `${size * 100}vh`; }));
+  } else {
+    _removeLetterbox();
+  }
+
+  for (const [key, selector] of Object.entries(PRESENTATION_UI_REGIONS)) {
+    const el = document.querySelector(selector);
+    if (!el || !game.settings.get(MODULE_ID, key)) continue;
+    el.style.transition = `opacity ${PRESENTATION_TRANSITION_MS}ms ease-in-out`;
+    el.style.opacity = "0";
+    el.style.pointerEvents = "none";
+  }
+}
+
+function _removeLetterbox() {
+  const bars = document.querySelectorAll(".ftt-letterbox");
+  if (!bars.length) return;
+  bars.forEach(bar => { bar.style.height = "0"; });
+  if (_letterboxRemoveTimer) clearTimeout(_letterboxRemoveTimer);
+  _letterboxRemoveTimer = setTimeout(() => {
+    _letterboxRemoveTimer = null;
+    document.querySelectorAll(".ftt-letterbox").forEach(bar => bar.remove());
+  }, PRESENTATION_TRANSITION_MS);
+}
+
+/**
+ * Undo `_applyPresentation`, putting back the inline styles captured before.
+ */
+function _restorePresentation(saved) {
+  _removeLetterbox();
+  for (const [key, selector] of Object.entries(PRESENTATION_UI_REGIONS)) {
+    const el = document.querySelector(selector);
+    const prev = saved?.regions?.[key];
+    if (!el || !prev) continue;
+    el.style.opacity = prev.opacity;
+    el.style.pointerEvents = prev.pointerEvents;
+    // Keep the fade-in, then put the original transition back
+    setTimeout(() => { el.style.transition = prev.transition; }, PRESENTATION_TRANSITION_MS);
+  }
+}
+
+/**
+ * GM: show (or stop showing) on this client what players see during Cinematic.
+ */
+function _togglePresentationPreview(on = !_presentationPreview) {
+  if (!game.user?.isGM) return false;
+  if (on && !_presentationPreview) {
+    _presentationPreview = _capturePresentationState();
+    _applyPresentation();
+  } else if (!on && _presentationPreview) {
+    _restorePresentation(_presentationPreview);
+    _presentationPreview = null;
+  }
+  _directorApp?.render();
+  return Boolean(_presentationPreview);
+}
+
+/**
+ * Presentation settings changed: re-apply wherever the presentation is showing.
+ */
+function _onPresentationSettingChanged() {
+  if (_presentationPreview) {
+    _restorePresentation(_presentationPreview);
+    _applyPresentation();
+  }
+  if (!_cinAsDirector && _cinAppliedForMe) {
+    const saved = _getCinSnapshot()?.presentation;
+    if (saved) _restorePresentation(saved);
+    _applyPresentation();
+  }
+}
+
+// ---------------------------
+// GM actions (keybindings, API)
+// ---------------------------
+
+/**
+ * Non-GM users owning any of the given tokens (used to target a Cinematic/Force group).
+ */
+function _getTokenOwnerIds(tokens) {
+  const ids = new Set();
+  for (const t of tokens ?? []) {
+    for (const u of game.users ?? []) {
+      if (u.isGM) continue;
+      if (t.document?.testUserPermission?.(u, "OWNER")) ids.add(u.id);
+    }
+  }
+  return [...ids];
+}
+
+function _formatUserNames(ids) {
+  return ids.map(id => game.users?.get(id)?.name ?? id).join(", ");
+}
+
+let _cinematicStylePicked = false; // GM picked the style by hand while Cinematic was off
+
+/**
+ * GM: switch the Cinematic style by hand. Picked while Cinematic is off, it also wins over
+ * the scene's configured style when Cinematic starts.
+ */
+function _toggleCinematicStyle() {
+  if (!_isCinematicOn()) _cinematicStylePicked = true;
+  return game.settings.set(MODULE_ID, "gmCinematicFollowCamera", !_isCinematicCameraMode());
+}
+
+/**
+ * Turn Cinematic on/off. `members` limits it to those user ids (empty = every player).
+ * `style` ("classic" | "camera") picks the Cinematic style; without it, a starting Cinematic
+ * uses the scene's configured style unless the GM already picked one. Calling it while
+ * Cinematic is on retargets it. Refused while `_getCinematicLock()` holds (a path is playing).
+ */
+async function _setCinematic(active, { members = [], style = null, ignoreLock = false } = {}) {
+  if (!game.user?.isGM) return false;
+  const lock = ignoreLock ? null : _getCinematicLock();
+  if (lock) {
+    ui.notifications?.warn(game.i18n.localize(lock));
+    return false;
+  }
+
+  if (Boolean(active) !== _isCinematicOn()) {
+    const hook = active ? "followTheToken.preCinematicStart" : "followTheToken.preCinematicEnd";
+    const hookStyle = style ?? (_isCinematicCameraMode() ? "camera" : "classic");
+    if (Hooks.call(hook, { style: hookStyle, members }) === false) return false;
+  }
+
+  if (active) {
+    await game.settings.set(MODULE_ID, "cinematicMembers", [...members]);
+
+    // Explicit style, else the scene may define which Cinematic style it starts in
+    const starting = !_isCinematicOn();
+    const wanted = style ?? (starting && !_cinematicStylePicked ? _getSceneConfig().cinematicStyle : null);
+    if (starting) _cinematicStylePicked = false;
+    if (wanted === "classic" || wanted === "camera") {
+      const cameraMode = wanted === "camera";
+      if (cameraMode !== _isCinematicCameraMode()) {
+        await game.settings.set(MODULE_ID, "gmCinematicFollowCamera", cameraMode);
+      }
+    }
+
+    if (!_isCinematicOn()) {
+      const state = _buildGmCameraState("cinToggleOn");
+      if (state) await _persistGmCameraState(state);
+      await game.settings.set(MODULE_ID, "gmCinematic", true);
+    }
+  } else {
+    // Last state, for anyone reading the setting later
+    if (_isCinematicOn()) await _persistGmCameraState(_buildGmCameraState("cinToggleOff"));
+    await game.settings.set(MODULE_ID, "gmCinematic", false);
+    await game.settings.set(MODULE_ID, "cinematicMembers", []);
+  }
+  return true;
+}
+
+/**
+ * Turn Force Follow on/off. `members` limits it to those user ids (empty = every player).
+ */
+async function _setForceFollow(active, { members = [] } = {}) {
+  if (!game.user?.isGM) return false;
+
+  if (active) {
+    await game.settings.set(MODULE_ID, "forceMembers", [...members]);
+    if (!_isForceOnGlobal()) await game.settings.set(MODULE_ID, "gmForceFollow", true);
+  } else {
+    await game.settings.set(MODULE_ID, "gmForceFollow", false);
+    await game.settings.set(MODULE_ID, "forceMembers", []);
+  }
+  return true;
+}
+
+// ---------------------------
+// Scene controls (token layer toggles)
+// ---------------------------
+
+/**
+ * Why Local Follow cannot be toggled right now (i18n key), or null.
+ */
+function _getLocalFollowLock() {
+  // In Cinematic, only GM in camera mode can toggle their own follow
+  if (_isCinematicOnForMe() && !(_isCinematicCameraMode() && _isDirector())) {
+    return "CFT.Controls.lockedCinematic";
+  }
+  if (_isForceOnForMe()) return "CFT.Controls.lockedForce";
+  return null;
+}
+
+/**
+ * Why the GM cannot toggle Cinematic or its style right now (i18n key), or null.
+ */
+const _getCinematicLock = () => (_isPlayingPath() ? "CFT.Controls.lockedPath" : null);
+
+/**
+ * Alt+F / scene control: toggle Local Follow, unless it is locked.
+ */
+function _toggleLocalFollow() {
+  const lock = _getLocalFollowLock();
+  if (lock) {
+    ui?.notifications?.warn(game.i18n.localize(lock));
+    return false;
+  }
+
+  const v = !_isLocalEnabled();
+  if (!_setLocalFollow(v)) return false;
+  ui.notifications?.info(
+    v ? game.i18n.localize("CFT.Toggle.on")
+      : game.i18n.localize("CFT.Toggle.off")
+  );
+  return true;
+}
+
+/**
+ * Turn Local Follow on/off, unless it is locked or a `preFollowStart`/`preFollowStop` hook cancels it.
+ */
+function _setLocalFollow(on) {
+  on = Boolean(on);
+  if (on === _isLocalEnabled()) return true;
+  if (_getLocalFollowLock()) return false;
+  const hook = on ? "followTheToken.preFollowStart" : "followTheToken.preFollowStop";
+  if (Hooks.call(hook, { user: game.user, tokens: _getFollowedTokenObjects() }) === false) return false;
+  game.settings.set(MODULE_ID, "enabled", on);
+  return true;
+}
+
+/**
+ * Rebuild the scene controls so our toggles show the live state.
+ */
+function _refreshSceneControls() {
+  try { ui?.controls?.render({ reset: true }); } catch (_) {}
+}
+
+/**
+ * Build a toggle tool; a locked tool shows a padlock and the reason in its tooltip.
+ */
+function _makeControlTool(name, { icon, titleKey, active, lock, order, onToggle }) {
+  const title = game.i18n.localize(titleKey);
+  return {
+    name,
+    title: lock ? `${title} — ${game.i18n.localize(lock)}` : title,
+    icon: lock ? "fa-solid fa-lock" : icon,
+    order,
+    toggle: true,
+    active,
+    onChange: async () => {
+      // A successful toggle refreshes from its setting's onChange; otherwise undo the button state here
+      if (lock) ui?.notifications?.warn(game.i18n.localize(lock));
+      else if ((await onToggle()) !== false) return;
+      _refreshSceneControls();
+    }
+  };
+}
+
+// ---------------------------
+// Spectate (follow tokens without controlling them)
+// ---------------------------
+let _writingFollowTargets = false; // both spectate settings are being written: refresh once after
+
+/**
+ * Replace the follow-target list. `spectate` turns spectating on/off (null = leave as is).
+ * Refused (false) while Cinematic locks this client's camera.
+ */
+async function _setFollowTargets(ids, { spectate = true } = {}) {
+  if (_isCinematicLockedForMe()) {
+    ui.notifications?.warn(game.i18n.localize("CFT.Controls.lockedCinematic"));
+    return false;
+  }
+  const unique = [...new Set((ids ?? []).filter(Boolean))];
+  _writingFollowTargets = true;
+  try {
+    await game.settings.set(MODULE_ID, "followTargetIds", unique);
+    if (spectate !== null) await game.settings.set(MODULE_ID, "spectate", Boolean(spectate) && unique.length > 0);
+  } finally {
+    _writingFollowTargets = false;
+  }
+  _onSpectateChanged();
+  return true;
+}
+
+async function _toggleFollowTarget(id) {
+  const ids = _getFollowTargetIds();
+  if (ids.includes(id)) await _setFollowTargets(ids.filter(i => i !== id), { spectate: null });
+  else await _setFollowTargets([...ids, id]);
+}
+
+/**
+ * Toggle spectate on/off (keeps the target list).
+ */
+async function _toggleSpectate() {
+  if (_isForceOnForMe()) {
+    ui.notifications?.warn(game.i18n.localize("CFT.Force.lockedPlayer"));
+    return;
+  }
+  const on = !game.settings.get(MODULE_ID, "spectate");
+  if (on && !_getFollowTargetIds().length) {
+    ui.notifications?.warn(game.i18n.localize("CFT.Spectate.empty"));
+    return;
+  }
+  await game.settings.set(MODULE_ID, "spectate", on);
+  ui.notifications?.info(game.i18n.localize(on ? "CFT.Spectate.on" : "CFT.Spectate.off"));
+}
+
+/**
+ * Spectate the tokens this user currently targets.
+ */
+async function _spectateMyTargets() {
+  const ids = [...(game.user?.targets ?? [])].map(t => t.document.id);
+  if (!ids.length) {
+    ui.notifications?.warn(game.i18n.localize("CFT.Spectate.noTargets"));
+    return;
+  }
+  if (!(await _setFollowTargets(ids))) return;
+  ui.notifications?.info(game.i18n.localize("CFT.Spectate.on"));
+}
+
+// ---------------------------
+// Combat follow (focus the active combatant)
+// ---------------------------
+const COMBAT_FOLLOW_MODES = ["off", "gm", "all"];
+
+/**
+ * Effective combat-follow mode: the encounter override if set, else the world setting.
+ */
+function _getCombatFollowMode(combat = game.combat) {
+  const override = combat?.getFlag?.(MODULE_ID, "combatFollow");
+  if (COMBAT_FOLLOW_MODES.includes(override)) return override;
+  return game.settings.get(MODULE_ID, "combatFollow") || "off";
+}
+
+/**
+ * Set (or clear with "default") the combat-follow override of an encounter.
+ */
+async function _setCombatFollowOverride(mode, combat = game.combat) {
+  if (!game.user?.isGM || !combat) return;
+  if (COMBAT_FOLLOW_MODES.includes(mode)) await combat.setFlag(MODULE_ID, "combatFollow", mode);
+  else await combat.unsetFlag(MODULE_ID, "combatFollow");
+}
+
+/**
+ * Re-evaluate which combatant the camera should focus on.
+ * On the player's own turn (and when combat ends) the camera is handed back to Local Follow.
+ */
+function _updateCombatFocus(combat = game.combat) {
+  const prev = _combatFocusId;
+  let next = null;
+  let ownTurn = false;
+
+  const mode = _getCombatFollowMode(combat);
+  const applies = combat?.started && !_isCinematicOnForMe()
+    && (mode === "all" || (mode === "gm" && game.user?.isGM));
+  const token = applies ? combat.combatant?.token?.object : null;
+
+  if (token && token.scene?.id === canvas?.scene?.id && token.visible) {
+    ownTurn = !game.user?.isGM && token.document.isOwner;
+    if (!ownTurn) next = token.document.id;
+  }
+
+  _combatFocusId = next;
+  if (next !== prev) _onFollowStateChanged();
+  if (next === prev && !ownTurn) return;
+  if (!canvas?.ready) return;
+
+  if (next) {
+    _forceCancelPanButtons();
+    _suppressUntilTs = 0;
+    _setCenter(token.center.x, token.center.y, false);
+    _lastMoveTs = _now();
+    _startTicker();
+    return;
+  }
+
+  // Hand back to Local Follow (own turn, combat over, or combatant no longer visible)
+  if (_isFollowActive()) {
+    const center = ownTurn ? token.center : _getGroupCenter(_getFollowTokens());
+    if (center) _setCenter(center.x, center.y, false);
+    _lastMoveTs = _now();
+    _startTicker();
+  } else {
+    _stopTicker();
+  }
+}
+
+// ---------------------------
+// Camera tween (GM camera moves: shots, playback)
+// ---------------------------
+const CAMERA_EASINGS = {
+  linear: (k) => k,
+  easeInOutSine: (k) => -(Math.cos(Math.PI * k) - 1) / 2,
+  easeInOutCubic: (k) => (k < 0.5 ? 4 * k * k * k : 1 - Math.pow(-2 * k + 2, 3) / 2),
+  easeOutCubic: (k) => 1 - Math.pow(1 - k, 3)
+};
+
+let _cameraTweenRaf = null;
+let _cameraTweenResolve = null;
+
+/**
+ * Put a view (x, y, scale, rotation) on this client's camera right away.
+ */
+function _panCameraTo(view) {
+  if (!canvas?.ready) return;
+  try {
+    canvas.pan({ x: view.x, y: view.y, scale: view.scale });
+  } catch (e) {
+    console.warn("[FTT] pan failed:", e);
+  }
+
+  const rotation = view.rotation ?? 0;
+  if (canvas.stage && Math.abs((canvas.stage.rotation ?? 0) - rotation) > 1e-6) {
+    canvas.stage.rotation = rotation;
+    _notifyRotation(rotation, { x: view.x, y: view.y });
+  }
+}
+
+/**
+ * Animate this client's camera to `to`. Resolves when done (or when another tween replaces it).
+ * In Cinematic, the GM camera watcher streams every step to mirrored players.
+ */
+function _tweenCameraTo(to, { duration = 1000, easing = "easeInOutCubic" } = {}) {
+  _stopCameraTween();
+
+  const from = _buildGmCameraState("tween");
+  if (!from || duration <= 0) {
+    _panCameraTo(to);
+    return Promise.resolve();
+  }
+
+  // Follow must not fight the animation
+  _stopTicker();
+
+  const ease = CAMERA_EASINGS[easing] ?? CAMERA_EASINGS.easeInOutCubic;
+  const start = _now();
+
+  return new Promise((resolve) => {
+    _cameraTweenResolve = resolve;
+    const step = (ts) => {
+      const k = Math.min(1, Math.max(0, (ts - start) / duration));
+      _panCameraTo(_lerpView(from, to, ease(k)));
+      if (k < 1) {
+        _cameraTweenRaf = requestAnimationFrame(step);
+        return;
+      }
+      _cameraTweenRaf = null;
+      _cameraTweenResolve = null;
+      resolve();
+    };
+    _cameraTweenRaf = requestAnimationFrame(step);
+  });
+}
+
+function _stopCameraTween() {
+  if (_cameraTweenRaf) cancelAnimationFrame(_cameraTweenRaf);
+  _cameraTweenRaf = null;
+  const resolve = _cameraTweenResolve;
+  _cameraTweenResolve = null;
+  resolve?.();
+}
+
+/**
+ * Director: move the camera to `view` ({ x, y, scale, rotation }) and sync it to players.
+ * Without `duration` it cuts; otherwise it animates like a shot recall.
+ */
+async function _setGmCamera(view, { duration = 0, easing } = {}) {
+  if (!view || !_requireDirector()) return false;
+  const cur = _buildGmCameraState("api");
+  if (!cur) return false;
+  const to = {
+    x: Number(view.x ?? cur.x),
+    y: Number(view.y ?? cur.y),
+    scale: Number(view.scale ?? cur.scale),
+    rotation: Number(view.rotation ?? cur.rotation)
+  };
+  await _tweenCameraTo(to, { duration, easing: easing ?? game.settings.get(MODULE_ID, "shotEasing") });
+  await _pushGmCameraState("api", { keyframe: true });
+  return true;
+}
+
+// ---------------------------
+// Camera effects (shake, zoom punch, dolly; layered on top of the camera)
+// ---------------------------
+// Effects are a CSS transform on the board element: they never touch the stage transform,
+// so follow, mirroring and `gmCameraState` keep working on the real camera underneath.
+const CAMERA_EFFECT_DEFAULTS = {
+  shake: { intensity: 12, duration: 600 },
+  zoomPunch: { amount: 0.15, duration: 450 },
+  dolly: { amount: 0.25, duration: 4000, release: 800 }
+};
+
+const _cameraEffects = []; // { type, start, ...params }
+let _cameraEffectsRaf = null;
+
+function _getEffectElement() {
+  return canvas?.app?.view ?? document.getElementById("board");
+}
+
+/**
+ * Start an effect on this client (if camera effects are enabled here).
+ */
+function _playCameraEffect(type, params = {}) {
+  const defaults = CAMERA_EFFECT_DEFAULTS[type];
+  if (!defaults || !canvas?.ready) return false;
+  if (!game.settings.get(MODULE_ID, "cameraEffects")) return false;
+
+  _cameraEffects.push({ ...defaults, ...params, type, start: _now(), seed: params.seed ?? Math.random() * 1000 });
+  if (!_cameraEffectsRaf) _cameraEffectsRaf = requestAnimationFrame(_stepCameraEffects);
+  return true;
+}
+
+function _stopCameraEffects() {
+  _cameraEffects.length = 0;
+  if (_cameraEffectsRaf) cancelAnimationFrame(_cameraEffectsRaf);
+  _cameraEffectsRaf = null;
+  const el = _getEffectElement();
+  if (el) {
+    el.style.transform = "";
+    el.style.transformOrigin = "";
+  }
+}
+
+/**
+ * Compose every running effect into one uniform-scale affine transform (screen px).
+ */
+function _stepCameraEffects(ts) {
+  const el = _getEffectElement();
+  const screen = canvas?.app?.renderer?.screen;
+  if (!el || !screen) { _stopCameraEffects(); return; }
+
+  let k = 1, tx = 0, ty = 0;
+  const scaleAbout = (f, ox, oy) => {
+    k *= f;
+    tx = f * tx + (1 - f) * ox;
+    ty = f * ty + (1 - f) * oy;
+  };
+  const cx = screen.width / 2, cy = screen.height / 2;
+
+  for (let i = _cameraEffects.length - 1; i >= 0; i--) {
+    const fx = _cameraEffects[i];
+    const total = fx.duration + (fx.release ?? 0);
+    const elapsed = ts - fx.start;
+    if (elapsed >= total) { _cameraEffects.splice(i, 1); continue; }
+    const t = Math.max(0, elapsed / fx.duration);
+
+    if (fx.type === "shake") {
+      // Sum of sines with per-effect phases: smooth, and the same pattern on every client
+      const amp = fx.intensity * Math.pow(1 - t, 2);
+      const w = elapsed / 1000;
+      const sx = Math.sin(w * 47 + fx.seed) * 0.6 + Math.sin(w * 83 + fx.seed * 2) * 0.4;
+      const sy = Math.sin(w * 53 + fx.seed * 3) * 0.6 + Math.sin(w * 97 + fx.seed * 5) * 0.4;
+      // Zoom in just enough that the shaken board never shows its edges
+      scaleAbout(1 + (2 * fx.intensity) / Math.min(screen.width, screen.height), cx, cy);
+      tx += sx * amp;
+      ty += sy * amp;
+    } else if (fx.type === "zoomPunch") {
+      // Fast in (first 20%), eased back out
+      const p = t < 0.2 ? t / 0.2 : 1 - CAMERA_EASINGS.easeOutCubic((t - 0.2) / 0.8);
+      scaleAbout(1 + fx.amount * p, cx, cy);
+    } else if (fx.type === "dolly") {
+      const p = elapsed <= fx.duration
+        ? CAMERA_EASINGS.easeInOutSine(t)
+        : 1 - CAMERA_EASINGS.easeInOutSine((elapsed - fx.duration) / fx.release);
+      let ox = cx, oy = cy;
+      if (Number.isFinite(fx.x) && Number.isFinite(fx.y)) {
+        const pt = canvas.stage.worldTransform.apply({ x: fx.x, y: fx.y });
+        ox = pt.x; oy = pt.y;
+      }
+      scaleAbout(1 + fx.amount * p, ox, oy);
+    }
+  }
+
+  if (!_cameraEffects.length) { _stopCameraEffects(); return; }
+
+  el.style.transformOrigin = "0 0";
+  el.style.transform = `matrix(${k}, 0, 0, ${k}, ${tx}, ${ty})`;
+  _cameraEffectsRaf = requestAnimationFrame(_stepCameraEffects);
+}
+
+/**
+ * Director: play an effect here and on every client locked by Cinematic.
+ * Players only accept effects from the director, so nobody else may trigger them.
+ */
+function _triggerCameraEffect(type, params = {}) {
+  if (!_isDirector() || !CAMERA_EFFECT_DEFAULTS[type]) return false;
+  const effect = { ...params, seed: Math.random() * 1000 };
+  if (type === "dolly" && !Number.isFinite(effect.x)) Object.assign(effect, _currentCenterWorld());
+  _playCameraEffect(type, effect);
+  if (_isCinematicOn()) _emitSocket("cameraEffect", { sceneId: canvas?.scene?.id, effect: { type, ...effect } });
+  return true;
+}
+
+function _onSocketCameraEffect({ senderId, sceneId, effect }) {
+  if (!effect || senderId !== _getDirectorId() || !_isCinematicLockedForMe()) return;
+  if (sceneId && canvas?.scene?.id !== sceneId) return;
+  const { type, ...params } = effect;
+  _playCameraEffect(type, params);
+}
+
+/**
+ * Drop undefined keys so they do not override the effect defaults.
+ */
+const _definedOnly = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+
+function _triggerStopCameraEffects() {
+  if (!_isDirector()) return;
+  _stopCameraEffects();
+  _emitSocket("cameraEffectStop");
+}
+
+// ---------------------------
+// Camera shots (named views stored in scene flags)
+// ---------------------------
+let _shotsApp = null;
+
+/**
+ * Shots saved on a scene: [{ id, name, x, y, scale, rotation }].
+ */
+function _getSceneShots(scene = canvas?.scene) {
+  const shots = scene?.getFlag(MODULE_ID, "shots");
+  return Array.isArray(shots) ? shots : [];
+}
+
+/**
+ * Find a shot by id, by name, or by its 1-based position in the list.
+ */
+function _findShot(ref, scene = canvas?.scene) {
+  const shots = _getSceneShots(scene);
+  if (typeof ref === "number") return shots[ref - 1] ?? null;
+  return shots.find(s => s.id === ref) ?? shots.find(s => s.name === ref) ?? null;
+}
+
+/**
+ * Save the current GM camera as a named shot on the viewed scene.
+ */
+async function _saveShot(name) {
+  if (!game.user?.isGM) return null;
+  const scene = canvas?.scene;
+  const state = _buildGmCameraState("shot");
+  if (!scene || !state) return null;
+
+  const shots = _getSceneShots(scene);
+  const shot = {
+    id: foundry.utils.randomID(),
+    name: String(name || "").trim() || game.i18n.format("CFT.Shots.defaultName", { n: shots.length + 1 }),
+    x: state.x,
+    y: state.y,
+    scale: state.scale,
+    rotation: state.rotation
+  };
+  await scene.setFlag(MODULE_ID, "shots", [...shots, shot]);
+  ui.notifications?.info(game.i18n.format("CFT.Shots.saved", { name: shot.name }));
+  return shot;
+}
+
+async function _deleteShot(id) {
+  if (!game.user?.isGM) return;
+  const scene = canvas?.scene;
+  if (!scene) return;
+  await scene.setFlag(MODULE_ID, "shots", _getSceneShots(scene).filter(s => s.id !== id));
+}
+
+/**
+ * Director: move the camera to a shot with an animated transition (mirrored players follow it).
+ */
+async function _recallShot(ref, { duration, easing } = {}) {
+  if (!_requireDirector()) return false;
+  const shot = _findShot(ref);
+  if (!shot) {
+    ui.notifications?.warn(game.i18n.localize("CFT.Shots.notFound"));
+    return false;
+  }
+
+  await _tweenCameraTo(shot, {
+    duration: duration ?? Number(game.settings.get(MODULE_ID, "shotDuration") ?? 1500),
+    easing: easing ?? game.settings.get(MODULE_ID, "shotEasing")
+  });
+  await _pushGmCameraState("shot", { keyframe: true });
+  return true;
+}
+
+async function _promptSaveShot() {
+  if (!game.user?.isGM) return;
+  const name = await foundry.applications.api.DialogV2.prompt({
+    window: { title: game.i18n.localize("CFT.Shots.save") },
+    content: `<input type="text" name="name" placeholder="${game.i18n.localize("CFT.Shots.namePlaceholder")}" autofocus>`,
+    ok: { callback: (event, button) => button.form.elements.name.value }
+  }).catch(() => null);
+  if (name === null) return;
+  await _saveShot(name);
+}
+
+function _exportShots() {
+  const scene = canvas?.scene;
+  if (!scene) return;
+  const data = JSON.stringify({ module: MODULE_ID, shots: _getSceneShots(scene) }, null, 2);
+  foundry.utils.saveDataToFile(data, "application/json", `ftt-shots-${scene.name.slugify()}.json`);
+}
+
+/**
+ * Import shots from a JSON file (as written by `_exportShots`) into the viewed scene.
+ */
+async function _importShots(file) {
+  if (!game.user?.isGM) return;
+  const scene = canvas?.scene;
+  if (!scene || !file) return;
+
+  try {
+    const data = JSON.parse(await foundry.utils.readTextFromFile(file));
+    const incoming = (Array.isArray(data) ? data : data?.shots ?? [])
+      .filter(s => Number.isFinite(s?.x) && Number.isFinite(s?.y))
+      .map(s => ({
+        id: foundry.utils.randomID(),
+        name: String(s.name ?? ""),
+        x: s.x,
+        y: s.y,
+        scale: Number(s.scale) || 1,
+        rotation: Number(s.rotation) || 0
+      }));
+    await scene.setFlag(MODULE_ID, "shots", [..._getSceneShots(scene), ...incoming]);
+    ui.notifications?.info(game.i18n.format("CFT.Shots.imported", { count: incoming.length }));
+  } catch (e) {
+    console.error("[FTT] import shots failed:", e);
+    ui.notifications?.error(game.i18n.localize("CFT.Shots.importFailed"));
+  }
+}
+
+/**
+ * Window listing the viewed scene's shots: the director recalls them, a GM edits the list.
+ */
+class FTTShotsApp extends foundry.applications.api.ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "ftt-shots",
+    tag: "div",
+    window: { title: "CFT.Shots.title", icon: "fa-solid fa-camera-retro", resizable: true },
+    position: { width: 360, height: "auto" },
+    actions: {
+      save: () => _promptSaveShot(),
+      recall: (event, target) => _recallShot(target.dataset.shotId),
+      remove: (event, target) => _deleteShot(target.dataset.shotId),
+      export: () => _exportShots(),
+      import: function () { this.element.querySelector("input[type=file]")?.click(); }
+    }
+  };
+
+  async _renderHTML() {
+    const root = document.createElement("div");
+    root.className = "ftt-shots";
+    root.style.display = "flex";
+    root.style.flexDirection = "column";
+    root.style.gap = "6px";
+
+    const shots = _getSceneShots();
+    if (!shots.length) {
+      const empty = document.createElement("p");
+      empty.className = "hint";
+      empty.textContent = game.i18n.localize("CFT.Shots.empty");
+      root.appendChild(empty);
+    }
+
+    shots.forEach((shot, i) => {
+      const row = document.createElement("div");
+      row.style.display = "flex";
+      row.style.alignItems = "center";
+      row.style.gap = "4px";
+
+      const label = document.createElement("span");
+      label.style.flex = "1";
+      label.textContent = `${i + 1}. ${shot.name}`;
+      row.appendChild(label);
+
+      row.appendChild(_makeActionButton("recall", "fa-solid fa-play", "CFT.Shots.recall", { shotId: shot.id }));
+      if (game.user?.isGM) {
+        row.appendChild(_makeActionButton("remove", "fa-solid fa-trash", "CFT.Shots.delete", { shotId: shot.id }));
+      }
+      root.appendChild(row);
+    });
+
+    if (!game.user?.isGM) return root;
+
+    const footer = document.createElement("div");
+    footer.style.display = "flex";
+    footer.style.gap = "4px";
+    footer.appendChild(_makeActionButton("save", "fa-solid fa-plus", "CFT.Shots.save", {}, true));
+    footer.appendChild(_makeActionButton("export", "fa-solid fa-file-export", "CFT.Shots.export", {}, true));
+    footer.appendChild(_makeActionButton("import", "fa-solid fa-file-import", "CFT.Shots.import", {}, true));
+    root.appendChild(footer);
+
+    const file = document.createElement("input");
+    file.type = "file";
+    file.accept = ".json,application/json";
+    file.hidden = true;
+    file.addEventListener("change", () => {
+      _importShots(file.files?.[0]);
+      file.value = "";
+    });
+    root.appendChild(file);
+
+    return root;
+  }
+
+  _replaceHTML(result, content) {
+    content.replaceChildren(result);
+  }
+}
+
+/**
+ * Small button wired to an ApplicationV2 action.
+ */
+function _makeActionButton(action, icon, labelKey, data = {}, withText = false) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.dataset.action = action;
+  for (const [k, v] of Object.entries(data)) btn.dataset[k] = v;
+  btn.dataset.tooltip = game.i18n.localize(labelKey);
+  btn.innerHTML = `<i class="${icon}"></i>`;
+  if (withText) btn.append(` ${game.i18n.localize(labelKey)}`);
+  else btn.style.flex = "0 0 auto";
+  return btn;
+}
+
+function _openShotsApp() {
+  if (!game.user?.isGM && !_isDirector()) return;
+  _shotsApp ??= new FTTShotsApp();
+  _shotsApp.render({ force: true });
+}
+
+// ---------------------------
+// Camera paths (recorded GM moves, played back to all players)
+// ---------------------------
+const PATH_SAMPLE_MIN_MS = 1000;     // keep a keyframe at least this often even when still
+const PATH_SAMPLE_INTERVAL_MS = 50;  // at most ~20 keyframes/s; playback interpolates between them
+const PATH_SAMPLE_MIN_DIST = 2;      // px; smaller moves are not worth a keyframe
+
+let _pathsApp = null;
+let _recording = null;  // { start, keyframes, raf }
+let _playback = null;   // { path, start (null while easing in), pausedAt, raf, startedCinematic, prevCameraMode }
+
+/**
+ * Paths saved on a scene: [{ id, name, duration, keyframes: [{ t, x, y, scale, rotation }] }].
+ */
+function _getScenePaths(scene = canvas?.scene) {
+  const paths = scene?.getFlag(MODULE_ID, "paths");
+  return Array.isArray(paths) ? paths : [];
+}
+
+function _findPath(ref, scene = canvas?.scene) {
+  const paths = _getScenePaths(scene);
+  if (typeof ref === "number") return paths[ref - 1] ?? null;
+  return paths.find(p => p.id === ref) ?? paths.find(p => p.name === ref) ?? null;
+}
+
+const _isRecordingPath = () => Boolean(_recording);
+const _isPlayingPath = () => Boolean(_playback);
+
+/**
+ * Director: start recording the camera as a keyframe track (Cinematic must be on).
+ * Saving it needs a user that may update the scene.
+ */
+function _startPathRecording() {
+  if (_recording || _playback || !_requireDirector()) return false;
+  if (!canvas?.scene?.canUserModify(game.user, "update")) return false;
+  if (!_isCinematicOn()) {
+    ui.notifications?.warn(game.i18n.localize("CFT.Paths.needsCinematic"));
+    return false;
+  }
+
+  _recording = { start: _now(), keyframes: [], raf: null };
+  const step = (ts) => {
+    if (!_recording) return;
+    if (!_isCinematicOn()) { _stopPathRecording(); return; }
+
+    const state = _buildGmCameraState("record");
+    if (state) {
+      const t = Math.max(0, ts - _recording.start);
+      const prev = _recording.keyframes[_recording.keyframes.length - 1];
+      const changed = !prev || ((t - prev.t) >= PATH_SAMPLE_INTERVAL_MS && (
+        Math.hypot(state.x - prev.x, state.y - prev.y) >= PATH_SAMPLE_MIN_DIST
+        || Math.abs(state.scale - prev.scale) > 1e-3
+        || Math.abs(state.rotation - prev.rotation) > 1e-3));
+      if (changed || (t - prev.t) >= PATH_SAMPLE_MIN_MS) {
+        _recording.keyframes.push({ t, x: state.x, y: state.y, scale: state.scale, rotation: state.rotation });
+      }
+    }
+    _recording.raf = requestAnimationFrame(step);
+  };
+  _recording.raf = requestAnimationFrame(step);
+
+  ui.notifications?.info(game.i18n.localize("CFT.Paths.recording"));
+  _pathsApp?.render();
+  return true;
+}
+
+/**
+ * Stop recording and, if anything was captured, save the track on the scene.
+ */
+async function _stopPathRecording({ save = true } = {}) {
+  const rec = _recording;
+  if (!rec) return null;
+  if (rec.raf) cancelAnimationFrame(rec.raf);
+  _recording = null;
+  _pathsApp?.render();
+
+  // Close the track with the final camera state
+  const end = _buildGmCameraState("record");
+  if (end) rec.keyframes.push({ t: _now() - rec.start, x: end.x, y: end.y, scale: end.scale, rotation: end.rotation });
+  if (!save || rec.keyframes.length < 2) return null;
+
+  const scene = canvas?.scene;
+  if (!scene) return null;
+  const paths = _getScenePaths(scene);
+  const name = await foundry.applications.api.DialogV2.prompt({
+    window: { title: game.i18n.localize("CFT.Paths.saveTitle") },
+    content: `<input type="text" name="name" placeholder="${game.i18n.localize("CFT.Paths.namePlaceholder")}" autofocus>`,
+    ok: { callback: (event, button) => button.form.elements.name.value }
+  }).catch(() => null);
+  if (name === null) return null;
+
+  const keyframes = rec.keyframes;
+  const path = {
+    id: foundry.utils.randomID(),
+    name: String(name).trim() || game.i18n.format("CFT.Paths.defaultName", { n: paths.length + 1 }),
+    duration: keyframes[keyframes.length - 1].t,
+    keyframes
+  };
+  await scene.setFlag(MODULE_ID, "paths", [...paths, path]);
+  ui.notifications?.info(game.i18n.format("CFT.Paths.saved", { name: path.name }));
+  return path;
+}
+
+async function _deletePath(id) {
+  if (!game.user?.isGM) return;
+  const scene = canvas?.scene;
+  if (!scene) return;
+  await scene.setFlag(MODULE_ID, "paths", _getScenePaths(scene).filter(p => p.id !== id));
+}
+
+/**
+ * Sample a keyframe track at time `t` (ms).
+ */
+function _sampleTrack(keyframes, t) {
+  if (!keyframes?.length) return null;
+  if (t <= keyframes[0].t) return keyframes[0];
+  const last = keyframes[keyframes.length - 1];
+  if (t >= last.t) return last;
+
+  const i = keyframes.findIndex(k => k.t >= t);
+  const a = keyframes[i - 1];
+  const b = keyframes[i];
+  const span = b.t - a.t;
+  return _lerpView(a, b, span > 0 ? (t - a.t) / span : 1);
+}
+
+/**
+ * Play a recorded path on the GM camera. Players mirror it through Camera-mode Cinematic,
+ * which is turned on for the duration of the track if needed.
+ */
+async function _playPath(ref) {
+  if (!_requireDirector()) return false;
+  // Only a GM can start Cinematic; a player director plays inside a running one
+  if (!game.user?.isGM && !_isCinematicOn()) {
+    ui.notifications?.warn(game.i18n.localize("CFT.Paths.needsCinematicPlay"));
+    return false;
+  }
+  if (_recording) await _stopPathRecording({ save: false });
+  if (_playback) await _stopPath();
+
+  const path = _findPath(ref);
+  if (!path?.keyframes?.length) {
+    ui.notifications?.warn(game.i18n.localize("CFT.Paths.notFound"));
+    return false;
+  }
+
+  // Claimed before any await, so stop/pause and another play see it during the setup and ease-in
+  const pb = {
+    path,
+    start: null,
+    pausedAt: null,
+    raf: null,
+    startedCinematic: !_isCinematicOn(),
+    prevCameraMode: _isCinematicCameraMode()
+  };
+  _playback = pb;
+  _pathsApp?.render();
+  _refreshSceneControls();
+
+  if (pb.startedCinematic) {
+    // A preCinematicStart hook may refuse: nothing would mirror the path then
+    if (!(await _setCinematic(true, { style: "camera", ignoreLock: true })) && _playback === pb) {
+      await _stopPath();
+      return false;
+    }
+  } else if (!pb.prevCameraMode) await _setDirectorSetting("gmCinematicFollowCamera", true);
+  if (_playback !== pb) return false;
+
+  _stopCameraTween();
+  _stopTicker();
+
+  // Ease into the first keyframe so the cut is not abrupt
+  await _tweenCameraTo(path.keyframes[0], {
+    duration: Math.min(1000, Number(game.settings.get(MODULE_ID, "shotDuration") ?? 0)),
+    easing: game.settings.get(MODULE_ID, "shotEasing")
+  });
+  if (_playback !== pb) return false;
+
+  pb.start = _now();
+  if (pb.pausedAt != null) pb.pausedAt = pb.start;
+  const duration = path.duration ?? path.keyframes[path.keyframes.length - 1].t;
+
+  const step = (ts) => {
+    const pb = _playback;
+    if (!pb) return;
+    if (!_isCinematicOn()) { _stopPath(); return; }
+    if (pb.pausedAt == null) {
+      const t = ts - pb.start;
+      _panCameraTo(_sampleTrack(pb.path.keyframes, t));
+      if (t >= duration) { _stopPath(); return; }
+    }
+    pb.raf = requestAnimationFrame(step);
+  };
+  pb.raf = requestAnimationFrame(step);
+  return true;
+}
+
+function _togglePausePath() {
+  const pb = _playback;
+  if (!pb) return;
+  if (pb.pausedAt == null) {
+    pb.pausedAt = _now();
+  } else {
+    if (pb.start != null) pb.start += _now() - pb.pausedAt;
+    pb.pausedAt = null;
+  }
+  _pathsApp?.render();
+}
+
+/**
+ * Stop playback and undo whatever Cinematic changes playback made.
+ */
+async function _stopPath() {
+  const pb = _playback;
+  if (!pb) return;
+  if (pb.raf) cancelAnimationFrame(pb.raf);
+  _playback = null;
+  if (pb.start == null) _stopCameraTween(); // stopped during the ease-in
+  _pathsApp?.render();
+  _refreshSceneControls();
+
+  await _pushGmCameraState("pathEnd", { keyframe: true });
+  if (pb.startedCinematic && _isCinematicOn()) await _setCinematic(false);
+  if (!pb.prevCameraMode) await _setDirectorSetting("gmCinematicFollowCamera", false);
+}
+
+/**
+ * Director window: record, list and play back camera paths of the viewed scene (a GM deletes them).
+ */
+class FTTPathsApp extends foundry.applications.api.ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "ftt-paths",
+    tag: "div",
+    window: { title: "CFT.Paths.title", icon: "fa-solid fa-route", resizable: true },
+    position: { width: 380, height: "auto" },
+    actions: {
+      record: () => (_recording ? _stopPathRecording() : _startPathRecording()),
+      play: (event, target) => _playPath(target.dataset.pathId),
+      pause: () => _togglePausePath(),
+      stop: () => _stopPath(),
+      remove: (event, target) => _deletePath(target.dataset.pathId)
+    }
+  };
+
+  async _renderHTML() {
+    const root = document.createElement("div");
+    root.className = "ftt-paths";
+    root.style.display = "flex";
+    root.style.flexDirection = "column";
+    root.style.gap = "6px";
+
+    const paths = _getScenePaths();
+    if (!paths.length) {
+      const empty = document.createElement("p");
+      empty.className = "hint";
+      empty.textContent = game.i18n.localize("CFT.Paths.empty");
+      root.appendChild(empty);
+    }
+
+    for (const path of paths) {
+      const row = document.createElement("div");
+      row.style.display = "flex";
+      row.style.alignItems = "center";
+      row.style.gap = "4px";
+
+      const label = document.createElement("span");
+      label.style.flex = "1";
+      label.textContent = `${path.name} (${((path.duration ?? 0) / 1000).toFixed(1)}s)`;
+      if (_playback?.path.id === path.id) label.style.fontWeight = "700";
+      row.appendChild(label);
+
+      row.appendChild(_makeActionButton("play", "fa-solid fa-play", "CFT.Paths.play", { pathId: path.id }));
+      if (game.user?.isGM) {
+        row.appendChild(_makeActionButton("remove", "fa-solid fa-trash", "CFT.Paths.delete", { pathId: path.id }));
+      }
+      root.appendChild(row);
+    }
+
+    const footer = document.createElement("div");
+    footer.style.display = "flex";
+    footer.style.gap = "4px";
+    footer.appendChild(_recording
+      ? _makeActionButton("record", "fa-solid fa-stop", "CFT.Paths.stopRecording", {}, true)
+      : _makeActionButton("record", "fa-solid fa-circle", "CFT.Paths.record", {}, true));
+    if (_playback) {
+      footer.appendChild(_playback.pausedAt == null
+        ? _makeActionButton("pause", "fa-solid fa-pause", "CFT.Paths.pause", {}, true)
+        : _makeActionButton("pause", "fa-solid fa-play", "CFT.Paths.resume", {}, true));
+      footer.appendChild(_makeActionButton("stop", "fa-solid fa-stop", "CFT.Paths.stop", {}, true));
+    }
+    root.appendChild(footer);
+
+    return root;
+  }
+
+  _replaceHTML(result, content) {
+    content.replaceChildren(result);
+  }
+}
+
+function _openPathsApp() {
+  if (!game.user?.isGM && !_isDirector()) return;
+  _pathsApp ??= new FTTPathsApp();
+  _pathsApp.render({ force: true });
+}
+
+// ---------------------------
+// Director role (the one client that broadcasts camera and selection)
+// ---------------------------
+const DIRECTOR_SETTINGS = ["gmCameraState", "gmSelectionIds", "gmCinematicFollowCamera"];
+
+let _appliedRole = null;
+let _appliedDirectorId = null;
+
+/**
+ * Whether this client drives the camera players mirror; warns otherwise.
+ * Shots, paths and effects only reach players from the director.
+ */
+function _requireDirector() {
+  if (_isDirector()) return true;
+  ui.notifications?.warn(game.i18n.localize("CFT.DirectorRole.directorOnly"));
+  return false;
+}
+
+/**
+ * Write a world setting owned by the director. A player director cannot write world
+ * settings, so the active GM writes it on their behalf.
+ */
+async function _setDirectorSetting(key, value) {
+  if (game.user?.isGM) return game.settings.set(MODULE_ID, key, value);
+  _emitSocket("directorSetting", { key, value });
+}
+
+/**
+ * Active GM: write a director-owned setting sent by a player director.
+ */
+function _onDirectorSetting({ senderId, key, value }) {
+  if (!game.users?.activeGM?.isSelf || !DIRECTOR_SETTINGS.includes(key)) return;
+  if (!senderId || senderId !== _getDirectorId()) return;
+  game.settings.set(MODULE_ID, key, value).catch(e => console.warn(`[FTT] director setting ${key} failed:`, e));
+}
+
+/**
+ * GM: make a user the director (a GM, or a trusted player for player-run scenes).
+ * Empty/null hands the role back to the active GM.
+ */
+async function _setDirector(userId = null) {
+  if (!game.user?.isGM) return false;
+  const user = userId ? game.users?.get(userId) : null;
+  if (userId && !user) return false;
+  if (user && !user.isGM && !user.hasRole("TRUSTED")) {
+    ui.notifications?.warn(game.i18n.format("CFT.DirectorRole.notTrusted", { name: user.name }));
+    return false;
+  }
+  await game.settings.set(MODULE_ID, "directorId", user?.id ?? "");
+  return true;
+}
+
+/**
+ * This client's role may have changed (director handed off or disconnected, `gmRole` changed):
+ * hand Cinematic/Force over to the new role.
+ */
+async function _onRoleChanged() {
+  // A new director streams its own session and sequence: start over from its next keyframe
+  const directorId = _getDirectorId();
+  if (directorId !== _appliedDirectorId) {
+    _appliedDirectorId = directorId;
+    _resetRemoteCamera();
+    if (!_isDirector() && _isCinematicOnForMe()) _requestGmCameraKeyframe();
+  }
+
+  const role = _getRole();
+  if (role === _appliedRole) return;
+  const previous = _appliedRole;
+  _appliedRole = role;
+
+  // Entered Cinematic on the other side of it: leave quietly, re-enter below if still targeted
+  if (_cinAppliedForMe && _cinAsDirector !== _isDirector()) {
+    _cinAppliedForMe = false;
+    await _exitCinematic({ quiet: true });
+  }
+  if (role !== "director") {
+    _stopGmCameraWatcher();
+    _resetGmCameraBroadcast();
+  }
+
+  _syncForceForMe();
+  await _syncCinematicForMe();
+  _refreshSceneControls();
+  _renderGMBanners();
+  _directorApp?.render();
+  _reportUserStatus();
+
+  if (previous && (role === "director" || previous === "director")) {
+    const director = game.users?.get(_getDirectorId());
+    ui.notifications?.info(role === "director"
+      ? game.i18n.localize("CFT.DirectorRole.nowYou")
+      : game.i18n.format("CFT.DirectorRole.now", { name: director?.name ?? "—" }));
+  }
+  Hooks.callAll("followTheToken.roleChanged", { role, previous, directorId: _getDirectorId() });
+}
+
+// ---------------------------
+// Director panel (GM overview of connected users)
+// ---------------------------
+const STATUS_REPORT_DEBOUNCE_MS = 250;
+const DIRECTOR_REFRESH_MS = 5000;
+const HEARTBEAT_INTERVAL_MS = 10000; // players report at least this often
+const STATUS_STALE_MS = 30000;       // no report for this long = stale
+
+let _directorApp = null;
+const _userStatus = new Map(); // GM side: user id -> last reported status (+ receivedAt, receivedTs)
+let _statusReportTimer = null;
+let _heartbeatTimer = null;
+
+/**
+ * What this client reports to the GM: viewed scene, follow state and followed tokens.
+ */
+function _buildUserStatus() {
+  return {
+    sceneId: canvas?.scene?.id ?? null,
+    followActive: _isFollowActive(),
+    localEnabled: _isLocalEnabled(),
+    spectating: _isSpectating(),
+    forceApplied: _forceAppliedForMe,
+    cinApplied: _cinAppliedForMe,
+    tokenIds: _getFollowedTokenObjects().map(t => t.document.id),
+    cameraSid: _cameraRemoteSid,
+    cameraSeq: _cameraRemoteSeq,
+    cameraIssue: _cameraApplyIssue,
+    suspended: [..._suspensions]
+  };
+}
+
+/**
+ * Player side (including GMs playing as players): send our status to the GM
+ * (debounced, so bursts of changes send one message).
+ */
+function _reportUserStatus() {
+  if ((game.user?.isGM && !_isPlayerRole()) || !game.socket) return;
+  clearTimeout(_statusReportTimer);
+  _statusReportTimer = setTimeout(() => {
+    _statusReportTimer = null;
+    _emitSocket("userStatus", { status: _buildUserStatus() });
+  }, STATUS_REPORT_DEBOUNCE_MS);
+}
+
+/**
+ * GM side: store a user's reported status.
+ */
+function _onUserStatus({ senderId, status }) {
+  if (!game.user?.isGM || !senderId || !status) return;
+  _userStatus.set(senderId, { ...status, receivedAt: Date.now(), receivedTs: _now() });
+  _directorApp?.render();
+  _renderGMBanners();
+}
+
+/**
+ * Players: heartbeat to the GM and GM presence check. GM: heartbeat to players, re-check for stale players.
+ */
+function _startHeartbeat() {
+  if (_heartbeatTimer) return;
+  _heartbeatTimer = setInterval(() => {
+    if (game.user?.isGM) {
+      if (game.users?.activeGM?.isSelf) _emitSocket("gmHeartbeat");
+      _renderGMBanners();
+    } else {
+      _checkGmPresence();
     }
+    _reportUserStatus();
+  }, HEARTBEAT_INTERVAL_MS);
+}
+
+// ---------------------------
+// GM presence (releases locked players when the GM is gone)
+// ---------------------------
+// Generous: background tabs may only run the GM's heartbeat timer once a minute
+const GM_HEARTBEAT_TIMEOUT_MS = 90000;
+
+let _lastGmSeen = 0;
+let _rejoinPrompt = null;
+let _rejoinDeclined = false; // stay out until the GM acts on Force/Cinematic
+
+/**
+ * Is a GM connected and still talking to us (socket heartbeat or any other GM message)?
+ */
+const _isGmPresent = () =>
+  Boolean(game.users?.activeGM) && Date.now() - _lastGmSeen < GM_HEARTBEAT_TIMEOUT_MS;
+
+/**
+ * Player: suspend Cinematic/Force while no GM is present; offer to re-enter once one is back.
+ */
+async function _checkGmPresence() {
+  if (game.user?.isGM) return;
+  const present = _isGmPresent();
+  const suspended = _suspensions.has("gmAbsent");
+
+  if (!present && !suspended) {
+    const locked = _cinAppliedForMe || _forceAppliedForMe;
+    _rejoinDeclined = false;
+    await _setSuspended("gmAbsent", true);
+    if (locked) console.warn("[FTT] No GM connected: Cinematic/Force suspended on this client.");
+  } else if (present && suspended && !_rejoinDeclined) {
+    if (!_isCinematicTargetingMe() && !_isForceTargetingMe()) return _setSuspended("gmAbsent", false);
+    _promptRejoin();
+  }
+}
+
+/**
+ * Player: ask whether to re-enter Cinematic/Force now that the GM is back.
+ */
+async function _promptRejoin() {
+  if (_rejoinPrompt) return;
+  _rejoinPrompt = foundry.applications.api.DialogV2.confirm({
+    window: { title: game.i18n.localize("CFT.GmPresence.rejoinTitle") },
+    content: `<p>${game.i18n.localize("CFT.GmPresence.rejoinContent")}</p>`,
+    yes: { label: game.i18n.localize("CFT.GmPresence.rejoin") },
+    no: { label: game.i18n.localize("CFT.GmPresence.stayOut") },
+    rejectClose: false
+  }).catch(() => null);
 
-    // GM path
-    if (camMode) {
-      await _pushGmCameraState("cinCameraOn");
-      _startGmCameraWatcher();
-      _renderGMBanners();
-      return;
-    }
+  try {
+    if (await _rejoinPrompt) await _setSuspended("gmAbsent", false);
+    else _rejoinDeclined = true;
+  } finally {
+    _rejoinPrompt = null;
+  }
+}
 
-    if (!beforeEnabled) {
-      await game.settings.set(MODULE_ID, "enabled", true);
-    }
+/**
+ * Player: the GM acted on Force/Cinematic (toggle, membership, resync), so they are clearly back.
+ */
+async function _clearGmAbsent() {
+  if (game.user?.isGM || !_suspensions.has("gmAbsent") || !game.users?.activeGM) return;
+  _lastGmSeen = Date.now();
+  await _setSuspended("gmAbsent", false);
+}
 
-    const c = _getGroupCenter(_getFollowTokens());
-    if (c) _setCenter(c.x, c.y, true);
-    _lastMoveTs = _now();
-    _startTicker();
+/**
+ * GM side: why a connected player looks out of sync (i18n key), or null.
+ */
+function _getUserSyncProblem(userId) {
+  const user = game.users?.get(userId);
+  if (!user?.active || !_isPlayerRole(user)) return null;
+
+  const status = _userStatus.get(userId);
+  if (!status || Date.now() - status.receivedAt > STATUS_STALE_MS) return "CFT.Sync.stale";
+
+  const cinMembers = _getCinematicMembers();
+  const inCinematic = _isCinematicOn() && (!cinMembers.length || cinMembers.includes(userId));
+  const forceMembers = _getForceMembers();
+  const inForce = _isForceOn() && (!forceMembers.length || forceMembers.includes(userId));
+
+  if (status.suspended?.length && (inCinematic || inForce)) return "CFT.Sync.suspended";
+  if (Boolean(status.cinApplied) !== inCinematic) return "CFT.Sync.cinematic";
+  if (Boolean(status.forceApplied) !== inForce) return "CFT.Sync.force";
+  if (!inCinematic) return null;
+
+  const sceneId = _isDirector() ? (_cameraLastSent?.sceneId ?? canvas?.scene?.id) : _getGmCameraState()?.sceneId;
+  if (sceneId && status.sceneId !== sceneId) return "CFT.Sync.scene";
+  if (status.cameraIssue) return "CFT.Sync.camera";
+  if (!_isDirector()) return null;
+
+  // Reported after our last camera message, yet missing some of it
+  const settled = status.receivedTs - _cameraLastSentTs > 1000;
+  if (settled && status.cameraSid === _cameraSessionId && status.cameraSeq < _cameraSeq) return "CFT.Sync.camera";
+  return null;
+}
 
-    await _pushGmCameraState("cinClassicOn");
-    _startGmCameraWatcher();
-    _renderGMBanners();
+/**
+ * GM: make every player re-apply Force/Cinematic and the current camera.
+ */
+async function _resyncEveryone() {
+  if (!game.user?.isGM) return;
+  if (_isCinematicOn()) await _pushGmCameraState("resync", { keyframe: true });
+  _emitSocket("resync");
+  ui.notifications?.info(game.i18n.localize("CFT.Sync.resyncSent"));
+}
+
+/**
+ * Player side: the GM asked for a resync.
+ */
+async function _onResync() {
+  if (_isDirector()) return;
+  _lastGmSeen = Date.now();
+  await _clearGmAbsent();
+  _syncForceForMe();
+  // Pulls us to the GM's scene if needed; canvasReady re-applies the GM camera there
+  _checkCinematicScene();
+  await _syncCinematicForMe();
+
+  const state = _getGmCameraState();
+  if (_isCinematicOnForMe() && state?.sceneId === canvas?.scene?.id) {
+    _applyGmCameraState(state, { instant: true });
+  }
+  _reportUserStatus();
+}
+
+/**
+ * GM side: ask every player for a fresh status.
+ */
+function _requestUserStatus() {
+  if (!game.user?.isGM) return;
+  _emitSocket("userStatusRequest");
+}
+
+const _getPlayerIds = () => (game.users ?? []).filter(u => _isPlayerRole(u)).map(u => u.id);
+
+/**
+ * Add/remove one player from Force Follow, keeping the other members as they are.
+ */
+async function _setUserForced(userId, forced) {
+  const on = _isForceOnGlobal();
+  const members = _getForceMembers();
+  if (forced) {
+    if (on && (!members.length || members.includes(userId))) return;
+    await _setForceFollow(true, { members: on ? [...members, userId] : [userId] });
     return;
   }
+  if (!on) return;
+  const rest = (members.length ? members : _getPlayerIds()).filter(id => id !== userId);
+  await _setForceFollow(rest.length > 0, { members: rest });
+}
 
-  // Turning Cinematic OFF
-  _stopGmCameraWatcher();
+/**
+ * Release one player from Force Follow and Cinematic.
+ */
+async function _releaseUser(userId) {
+  await _setUserForced(userId, false);
+  if (!_isCinematicOn()) return;
+  const members = _getCinematicMembers();
+  if (members.length && !members.includes(userId)) return;
+  const rest = (members.length ? members : _getPlayerIds()).filter(id => id !== userId);
+  await _setCinematic(rest.length > 0, { members: rest });
+}
 
-  const snap = _getCinSnapshot();
-  const wasFollowEnabled = !!(snap?.enabled);
-  const snapRotation = typeof snap?.rotation === "number" ? snap.rotation : 0;
+/**
+ * Move a player's camera to the GM's current view (switching scene if needed).
+ */
+function _pullUserToMyCamera(userId) {
+  const view = _buildGmCameraState("pull");
+  if (!view) return;
+  _emitSocket("pullCamera", { userId, view });
+}
 
-  if (game.user?.isGM) {
-    const camModeNow = _isCinematicCameraMode();
-    const preClassic = (snap && typeof snap.preClassicEnabledGM === "boolean")
-      ? snap.preClassicEnabledGM
-      : wasFollowEnabled;
+/**
+ * Player side: the GM pulled our camera to their view.
+ */
+async function _onPullCamera(msg) {
+  const { userId, view } = msg;
+  if (userId !== game.user?.id || !view || !_isFromGmOrDirector(msg)) return;
+  if (_isCinematicOnForMe()) return; // the GM camera already drives us
+  if (canvas?.scene?.id !== view.sceneId && !(await _viewScene(view.sceneId))) return;
+  _panCameraTo(view);
+}
 
-    if (camModeNow) {
-      const stillEnabled = _isLocalEnabled();
-      if (stillEnabled) {
-        _lastMoveTs = _now();
-        _startTicker();
-      } else {
-        _stopTicker();
-      }
-    } else {
-      await game.settings.set(MODULE_ID, "enabled", preClassic);
-      if (preClassic) {
-        _lastMoveTs = _now();
-        _startTicker();
-      } else {
-        _stopTicker();
-      }
+/**
+ * Tokens a user is following (as reported), else the tokens they own on the viewed scene.
+ */
+function _getUserTokens(userId) {
+  const user = game.users?.get(userId);
+  if (!user || !canvas?.tokens) return [];
+  const reported = new Set(_userStatus.get(userId)?.tokenIds ?? []);
+  if (reported.size) {
+    const tokens = canvas.tokens.placeables.filter(t => reported.has(t.document.id));
+    if (tokens.length) return tokens;
+  }
+  const owned = canvas.tokens.placeables.filter(t => t.document.testUserPermission(user, "OWNER"));
+  const own = owned.filter(t => t.actor && t.actor === user.character);
+  return own.length ? own : owned;
+}
+
+/**
+ * GM side: center our camera on the tokens a user is following.
+ */
+async function _snapToUser(userId) {
+  const status = _userStatus.get(userId);
+  if (status?.sceneId && canvas?.scene?.id !== status.sceneId) await _viewScene(status.sceneId);
+  const center = _getTokensCenter(_getUserTokens(userId));
+  if (!center) {
+    ui.notifications?.warn(game.i18n.localize("CFT.Director.noTokens"));
+    return;
+  }
+  try { await canvas.animatePan({ x: center.x, y: center.y, duration: 250 }); } catch (_) {}
+}
+
+function _formatAgo(ts) {
+  if (!ts) return "—";
+  const n = Math.max(0, Math.round((Date.now() - ts) / 1000));
+  return game.i18n.format("CFT.Director.secondsAgo", { n });
+}
+
+class FTTDirectorApp extends foundry.applications.api.ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "ftt-director",
+    tag: "div",
+    window: { title: "CFT.Director.title", icon: "fa-solid fa-clapperboard", resizable: true },
+    position: { width: 720, height: "auto" },
+    actions: {
+      toggleForce: () => _setForceFollow(!_isForceOn()),
+      toggleCinematic: () => _setCinematic(!_isCinematicOn()),
+      toggleStyle: () => _toggleCinematicStyle(),
+      refresh: () => _requestUserStatus(),
+      resync: () => _resyncEveryone(),
+      preview: () => _togglePresentationPreview(),
+      force: (event, target) => _setUserForced(target.dataset.userId, true),
+      release: (event, target) => _releaseUser(target.dataset.userId),
+      pull: (event, target) => _pullUserToMyCamera(target.dataset.userId),
+      snap: (event, target) => _snapToUser(target.dataset.userId),
+      claimDirector: () => _setDirector(game.user.id),
+      resetDirector: () => _setDirector(null),
+      makeDirector: (event, target) => _setDirector(target.dataset.userId)
     }
+  };
 
-    ui.notifications?.error(game.i18n.localize("CFT.Cinematic.disabledGM"));
-    if (_isForceOn()) {
-      ui.notifications?.warn(game.i18n.localize("CFT.Cinematic.reminderForceGM"));
+  #refreshTimer = null;
+
+  async _renderHTML() {
+    const L = (k) => game.i18n.localize(k);
+    const root = document.createElement("div");
+    root.className = "ftt-director";
+    root.style.display = "flex";
+    root.style.flexDirection = "column";
+    root.style.gap = "6px";
+
+    // Global modes
+    const modes = document.createElement("div");
+    modes.style.display = "flex";
+    modes.style.gap = "4px";
+    const modeButton = (action, icon, labelKey, active) => {
+      const btn = _makeActionButton(action, icon, labelKey, {}, true);
+      if (active) btn.classList.add("active");
+      btn.style.fontWeight = active ? "700" : "";
+      return btn;
+    };
+    modes.appendChild(modeButton("toggleForce", "fa-solid fa-users-viewfinder", "CFT.Controls.forceFollow", _isForceOn()));
+    modes.appendChild(modeButton("toggleCinematic", "fa-solid fa-film", "CFT.Controls.cinematic", _isCinematicOn()));
+    modes.appendChild(modeButton("toggleStyle", "fa-solid fa-video",
+      _isCinematicCameraMode() ? "CFT.Cinematic.modeCamera" : "CFT.Cinematic.modeClassic", false));
+    modes.appendChild(_makeActionButton("refresh", "fa-solid fa-rotate", "CFT.Director.refresh"));
+    modes.appendChild(_makeActionButton("resync", "fa-solid fa-arrows-rotate", "CFT.Sync.resync", {}, true));
+    modes.appendChild(modeButton("preview", "fa-solid fa-eye", "CFT.Presentation.preview", Boolean(_presentationPreview)));
+    root.appendChild(modes);
+
+    // Director role
+    const director = document.createElement("div");
+    director.style.display = "flex";
+    director.style.alignItems = "center";
+    director.style.gap = "4px";
+    const directorName = document.createElement("span");
+    directorName.style.flex = "1";
+    directorName.textContent = game.i18n.format("CFT.DirectorRole.current", {
+      name: game.users?.get(_getDirectorId())?.name ?? "—"
+    });
+    director.appendChild(directorName);
+    if (!_isDirector()) {
+      director.appendChild(_makeActionButton("claimDirector", "fa-solid fa-clapperboard", "CFT.DirectorRole.claim", {}, true));
     }
-  } else {
-    // Player restore path
-    const stage = canvas?.stage;
-    if (stage) {
-      stage.eventMode = _prevStageEventMode ?? "static";
-      stage.interactiveChildren = (_prevStageInteractiveChildren ?? true);
-      stage.rotation = snapRotation;
+    if (game.settings.get(MODULE_ID, "directorId")) {
+      director.appendChild(_makeActionButton("resetDirector", "fa-solid fa-rotate-left", "CFT.DirectorRole.reset", {}, true));
+    }
+    root.appendChild(director);
+
+    const users = (game.users ?? []).filter(u => u.active && !u.isSelf);
+    if (!users.length) {
+      const empty = document.createElement("p");
+      empty.className = "hint";
+      empty.textContent = L("CFT.Director.empty");
+      root.appendChild(empty);
+      return root;
     }
 
-    try {
-      const angleRad = stage?.rotation ?? 0;
-      const angleDeg = (angleRad * 180) / Math.PI;
-
-      // Converte o ângulo atual de volta para 0..7 steps de 45°
-      const cameraStep = ((Math.round(angleDeg / 45) % 8) + 8) % 8;
+    const table = document.createElement("table");
+    const head = document.createElement("tr");
+    for (const key of ["user", "scene", "follow", "modes", "tokens", "lastSync", "actions"]) {
+      const th = document.createElement("th");
+      th.textContent = L(`CFT.Director.col.${key}`);
+      head.appendChild(th);
+    }
+    table.appendChild(head);
+
+    const forceMembers = _getForceMembers();
+    const cinMembers = _getCinematicMembers();
+    for (const user of users) {
+      const status = _userStatus.get(user.id);
+      const row = document.createElement("tr");
+      const cell = (text) => {
+        const td = document.createElement("td");
+        td.textContent = text;
+        row.appendChild(td);
+        return td;
+      };
+
+      const name = cell(user.name);
+      name.style.borderLeft = `4px solid ${user.color?.css ?? user.color ?? "transparent"}`;
+      name.style.paddingLeft = "4px";
+
+      const scene = status?.sceneId ? game.scenes?.get(status.sceneId) : null;
+      cell(scene?.name ?? "—");
+
+      let follow = "—";
+      if (status) {
+        if (status.cinApplied) follow = L("CFT.Director.state.cinematic");
+        else if (!status.followActive) follow = L("CFT.Director.state.off");
+        else if (status.spectating) follow = L("CFT.Director.state.spectating");
+        else follow = L("CFT.Director.state.following");
+      }
+      cell(follow);
 
-      // Pode usar o centro salvo no snapshot ou o centro atual
-      const center = snap?.center ?? _currentCenterWorld?.() ?? { x: 0, y: 0 };
+      const badges = [];
+      if (_isDirector(user.id)) badges.push(L("CFT.Director.director"));
+      if (_isPlayerRole(user) && _isForceOn() && (!forceMembers.length || forceMembers.includes(user.id))) {
+        badges.push(L("CFT.Director.force"));
+      }
+      if (_isPlayerRole(user) && _isCinematicOn() && (!cinMembers.length || cinMembers.includes(user.id))) {
+        badges.push(L("CFT.Director.cinematic"));
+      }
+      cell(badges.join(", ") || "—");
+
+      const tokens = (status?.tokenIds ?? [])
+        .map(id => (status.sceneId && game.scenes?.get(status.sceneId)?.tokens.get(id)?.name) || null)
+        .filter(Boolean);
+      cell(tokens.join(", ") || "—");
+
+      const sync = cell(_formatAgo(status?.receivedAt));
+      const problem = _getUserSyncProblem(user.id);
+      if (problem) {
+        sync.style.color = "#e05050";
+        sync.dataset.tooltip = game.i18n.localize(problem);
+        sync.insertAdjacentHTML("afterbegin", `<i class="fa-solid fa-triangle-exclamation"></i> `);
+      }
 
-      // Mantém o estado interno do rotate-camera-8d em sincronia
-      const rc = window.RotatingCamera8D;
-      if (rc) {
-        rc.displayAngleDeg = angleDeg;
-        rc.cameraStep = cameraStep;
+      const actions = document.createElement("td");
+      actions.style.whiteSpace = "nowrap";
+      const data = { userId: user.id };
+      if (_isPlayerRole(user)) {
+        actions.appendChild(_makeActionButton("force", "fa-solid fa-link", "CFT.Director.forceUser", data));
+        actions.appendChild(_makeActionButton("release", "fa-solid fa-link-slash", "CFT.Director.releaseUser", data));
+      }
+      if (!_isDirector(user.id) && (user.isGM || user.hasRole("TRUSTED"))) {
+        actions.appendChild(_makeActionButton("makeDirector", "fa-solid fa-clapperboard", "CFT.DirectorRole.make", data));
       }
+      actions.appendChild(_makeActionButton("pull", "fa-solid fa-arrows-to-eye", "CFT.Director.pull", data));
+      actions.appendChild(_makeActionButton("snap", "fa-solid fa-crosshairs", "CFT.Director.snap", data));
+      row.appendChild(actions);
 
-      // Notifica a bússola / overlays que a rotação “voltou” para o jogador
-      Hooks.callAll("rotateCamera8dRotated", {
-        angleDeg,
-        angleRad,
-        cameraStep,
-        center
-      });
-    } catch (e) {
-      console.warn("[FTT] restore rotate-camera-8d after Cinematic failed:", e);
+      table.appendChild(row);
     }
+    root.appendChild(table);
 
-    await game.settings.set(MODULE_ID, "enabled", wasFollowEnabled);
+    return root;
+  }
 
-    const opts = { x: snap?.center?.x ?? 0, y: snap?.center?.y ?? 0 };
-    if (!snap?.scaleWasRetained) opts.scale = Number(snap?.scale || 1.0);
-    try { canvas.animatePan({ ...opts, duration: 150 }); } catch (_) {}
+  _replaceHTML(result, content) {
+    content.replaceChildren(result);
+  }
 
-    if (wasFollowEnabled) {
-      _lastMoveTs = _now();
-      _startTicker();
-    } else if (!_isFollowActive()) {
-      _stopTicker();
-    }
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    _requestUserStatus();
+    this.#refreshTimer = setInterval(() => this.render(), DIRECTOR_REFRESH_MS);
+  }
 
-    ui.notifications?.error(game.i18n.localize("CFT.Cinematic.disabledPlayer"));
-    if (_isForceOnForMe()) {
-      ui.notifications?.warn(game.i18n.localize("CFT.Cinematic.reminderForcePlayer"));
-    }
+  _onClose(options) {
+    super._onClose(options);
+    clearInterval(this.#refreshTimer);
+    this.#refreshTimer = null;
   }
+}
 
-  _renderGMBanners();
+function _openDirectorApp() {
+  if (!game.user?.isGM) return;
+  _directorApp ??= new FTTDirectorApp();
+  _directorApp.render({ force: true });
+}
+
+// ---------------------------
+// Chat commands (/follow, /cinematic, /force)
+// ---------------------------
+const CHAT_COMMAND_RE = /^\/(follow|cinematic|force)(?:\s+(.*))?$/i;
+
+const _unquote = (text) => text.trim().replace(/^(["'])(.*)\1$/, "$2").trim();
+
+/**
+ * Whisper command feedback to this user only.
+ */
+function _whisperFeedback(text) {
+  ChatMessage.create({
+    content: `<p>${text}</p>`,
+    whisper: [game.user.id],
+    speaker: { alias: game.i18n.localize("CFT.Chat.speaker") }
+  }).catch(e => console.warn("[FTT] chat feedback failed:", e));
+}
+
+/**
+ * /follow (toggle Local Follow), /follow off, /follow <token name> (spectate that token).
+ */
+async function _chatFollow(arg) {
+  const L = (k) => game.i18n.localize(k);
+  const lock = _getLocalFollowLock();
+  if (lock) return L(lock);
+
+  if (!arg) {
+    const on = !_isLocalEnabled();
+    if (!_setLocalFollow(on)) return L("CFT.Chat.cancelled");
+    return L(on ? "CFT.Toggle.on" : "CFT.Toggle.off");
+  }
+
+  if (arg.toLowerCase() === "off") {
+    if (_isSpectating()) await game.settings.set(MODULE_ID, "spectate", false);
+    if (!_setLocalFollow(false)) return L("CFT.Chat.cancelled");
+    return L("CFT.Toggle.off");
+  }
+
+  // Exact name first, then a partial match; only tokens this user can see
+  const name = _unquote(arg).toLowerCase();
+  const visible = (canvas?.tokens?.placeables ?? []).filter(t => t.visible && t.document.name);
+  let tokens = visible.filter(t => t.document.name.toLowerCase() === name);
+  if (!tokens.length) tokens = visible.filter(t => t.document.name.toLowerCase().includes(name));
+  if (!tokens.length) return game.i18n.format("CFT.Chat.noToken", { name: Handlebars.escapeExpression(_unquote(arg)) });
+
+  await _setFollowTargets(tokens.map(t => t.document.id));
+  const names = [...new Set(tokens.map(t => t.document.name))].join(", ");
+  return game.i18n.format("CFT.Chat.following", { name: Handlebars.escapeExpression(names) });
+}
+
+/**
+ * /cinematic (toggle), /cinematic classic|camera (start or switch style), /cinematic off. GM only.
+ */
+async function _chatCinematic(arg) {
+  const L = (k) => game.i18n.localize(k);
+  if (!game.user?.isGM) return L("CFT.Chat.gmOnly");
+  const lock = _getCinematicLock();
+  if (lock) return L(lock);
+
+  const mode = arg.toLowerCase();
+  let ok;
+  if (!mode) ok = await _setCinematic(!_isCinematicOn());
+  else if (mode === "off") ok = await _setCinematic(false);
+  else if (mode === "classic" || mode === "camera") {
+    // Switching style keeps the current targets
+    const members = _isCinematicOn() ? _getCinematicMembers() : [];
+    ok = await _setCinematic(true, { members, style: mode });
+  } else {
+    return L("CFT.Chat.usageCinematic");
+  }
+
+  if (!ok) return L("CFT.Chat.cancelled");
+  if (!_isCinematicOn()) return L("CFT.Chat.cinematicOff");
+  return game.i18n.format("CFT.Chat.cinematicOn", {
+    style: L(_isCinematicCameraMode() ? "CFT.Cinematic.modeCamera" : "CFT.Cinematic.modeClassic")
+  });
+}
+
+/**
+ * /force (toggle), /force on|off, /force @user (toggle Force Follow for one player). GM only.
+ */
+async function _chatForce(arg) {
+  const L = (k) => game.i18n.localize(k);
+  if (!game.user?.isGM) return L("CFT.Chat.gmOnly");
+
+  const mode = arg.toLowerCase();
+  if (!mode || mode === "on" || mode === "off") {
+    const on = mode ? mode === "on" : !_isForceOn();
+    if (!(await _setForceFollow(on))) return L("CFT.Chat.cancelled");
+    return L(on ? "CFT.Chat.forceOn" : "CFT.Chat.forceOff");
+  }
+
+  if (!arg.startsWith("@")) return L("CFT.Chat.usageForce");
+  const name = _unquote(arg.slice(1)).toLowerCase();
+  const user = game.users?.find(u => u.name.toLowerCase() === name);
+  if (!user || !_isPlayerRole(user)) {
+    return game.i18n.format("CFT.Chat.noUser", { name: Handlebars.escapeExpression(_unquote(arg.slice(1))) });
+  }
+
+  const members = _getForceMembers();
+  const forced = _isForceOn() && (!members.length || members.includes(user.id));
+  await _setUserForced(user.id, !forced);
+  return game.i18n.format(forced ? "CFT.Chat.forceUserOff" : "CFT.Chat.forceUserOn", {
+    name: Handlebars.escapeExpression(user.name)
+  });
+}
+
+/**
+ * Run a parsed chat command and whisper the outcome.
+ */
+async function _runChatCommand(command, arg) {
+  try {
+    const run = { follow: _chatFollow, cinematic: _chatCinematic, force: _chatForce }[command];
+    const feedback = await run(arg);
+    if (feedback) _whisperFeedback(feedback);
+  } catch (e) {
+    console.warn(`[FTT] /${command} failed:`, e);
+  }
 }
 
 // ---------------------------
 // Settings and UI
 // ---------------------------
 Hooks.once("init", () => {
+  CONFIG.RegionBehavior.dataModels[CAMERA_BOUNDS_TYPE] = CameraBoundsBehaviorType;
+  CONFIG.RegionBehavior.typeIcons[CAMERA_BOUNDS_TYPE] = "fa-solid fa-vector-square";
+  CONFIG.RegionBehavior.dataModels[CAMERA_FOCUS_TYPE] = CameraFocusBehaviorType;
+  CONFIG.RegionBehavior.typeIcons[CAMERA_FOCUS_TYPE] = "fa-solid fa-camera";
+  CONFIG.RegionBehavior.dataModels[START_CINEMATIC_TYPE] = StartCinematicBehaviorType;
+  CONFIG.RegionBehavior.typeIcons[START_CINEMATIC_TYPE] = "fa-solid fa-film";
+  CONFIG.RegionBehavior.dataModels[ZOOM_OVERRIDE_TYPE] = ZoomOverrideBehaviorType;
+  CONFIG.RegionBehavior.typeIcons[ZOOM_OVERRIDE_TYPE] = "fa-solid fa-magnifying-glass-plus";
+  CONFIG.RegionBehavior.dataModels[PAUSE_FOLLOW_TYPE] = PauseFollowBehaviorType;
+  CONFIG.RegionBehavior.typeIcons[PAUSE_FOLLOW_TYPE] = "fa-solid fa-pause";
+
   game.settings.register(MODULE_ID, "enabled", {
     name: game.i18n.localize("CFT.Enabled.name"),
     hint: game.i18n.localize("CFT.Enabled.hint"),
@@ -1057,6 +4294,45 @@ Hooks.once("init", () => {
     range: { min: 0.25, max: 3, step: 0.05 }
   });
 
+  game.settings.register(MODULE_ID, "fitGroup", {
+    name: game.i18n.localize("CFT.FitGroup.name"),
+    hint: game.i18n.localize("CFT.FitGroup.hint"),
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE_ID, "fitPadding", {
+    name: game.i18n.localize("CFT.FitPadding.name"),
+    hint: game.i18n.localize("CFT.FitPadding.hint"),
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 1,
+    range: { min: 0, max: 10, step: 0.5 }
+  });
+
+  game.settings.register(MODULE_ID, "fitMinZoom", {
+    name: game.i18n.localize("CFT.FitMinZoom.name"),
+    hint: game.i18n.localize("CFT.FitMinZoom.hint"),
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 0.3,
+    range: { min: 0.1, max: 3, step: 0.05 }
+  });
+
+  game.settings.register(MODULE_ID, "fitMaxZoom", {
+    name: game.i18n.localize("CFT.FitMaxZoom.name"),
+    hint: game.i18n.localize("CFT.FitMaxZoom.hint"),
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 1.5,
+    range: { min: 0.1, max: 3, step: 0.05 }
+  });
+
   game.settings.register(MODULE_ID, "responsiveness", {
     name: game.i18n.localize("CFT.Responsiveness.name"),
     hint: game.i18n.localize("CFT.Responsiveness.hint"),
@@ -1067,6 +4343,19 @@ Hooks.once("init", () => {
     range: { min: 0.05, max: 0.5, step: 0.01 }
   });
 
+  game.settings.register(MODULE_ID, "smoothingModel", {
+    name: game.i18n.localize("CFT.SmoothingModel.name"),
+    hint: game.i18n.localize("CFT.SmoothingModel.hint"),
+    scope: "client",
+    config: true,
+    type: String,
+    default: "spring",
+    choices: {
+      spring: "CFT.SmoothingModel.spring",
+      exponential: "CFT.SmoothingModel.exponential"
+    }
+  });
+
   game.settings.register(MODULE_ID, "maxSpeed", {
     name: game.i18n.localize("CFT.MaxSpeed.name"),
     hint: game.i18n.localize("CFT.MaxSpeed.hint"),
@@ -1087,13 +4376,122 @@ Hooks.once("init", () => {
     range: { min: 100, max: 2000, step: 50 }
   });
 
+  game.settings.register(MODULE_ID, "lookAheadDistance", {
+    name: game.i18n.localize("CFT.LookAheadDistance.name"),
+    hint: game.i18n.localize("CFT.LookAheadDistance.hint"),
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 0,
+    range: { min: 0, max: 10, step: 0.5 }
+  });
+
+  game.settings.register(MODULE_ID, "lookAheadSmoothing", {
+    name: game.i18n.localize("CFT.LookAheadSmoothing.name"),
+    hint: game.i18n.localize("CFT.LookAheadSmoothing.hint"),
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 0.15,
+    range: { min: 0.05, max: 1, step: 0.05 }
+  });
+
+  game.settings.register(MODULE_ID, "deadzoneWidth", {
+    name: game.i18n.localize("CFT.DeadzoneWidth.name"),
+    hint: game.i18n.localize("CFT.DeadzoneWidth.hint"),
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 0,
+    range: { min: 0, max: 0.9, step: 0.05 }
+  });
+
+  game.settings.register(MODULE_ID, "deadzoneHeight", {
+    name: game.i18n.localize("CFT.DeadzoneHeight.name"),
+    hint: game.i18n.localize("CFT.DeadzoneHeight.hint"),
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 0,
+    range: { min: 0, max: 0.9, step: 0.05 }
+  });
+
+  game.settings.register(MODULE_ID, "hardzoneSize", {
+    name: game.i18n.localize("CFT.HardzoneSize.name"),
+    hint: game.i18n.localize("CFT.HardzoneSize.hint"),
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 0,
+    range: { min: 0, max: 1, step: 0.05 }
+  });
+
+  game.settings.register(MODULE_ID, "clampToScene", {
+    name: game.i18n.localize("CFT.ClampToScene.name"),
+    hint: game.i18n.localize("CFT.ClampToScene.hint"),
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
   game.settings.register(MODULE_ID, "resumeOnRelease", {
     name: game.i18n.localize("CFT.ResumeOnRelease.name"),
     hint: game.i18n.localize("CFT.ResumeOnRelease.hint"),
     scope: "client",
     config: true,
     type: Boolean,
-    default: false
+    default: false
+  });
+
+  game.settings.register(MODULE_ID, "mirrorDelayMs", {
+    name: game.i18n.localize("CFT.MirrorDelay.name"),
+    hint: game.i18n.localize("CFT.MirrorDelay.hint"),
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 100,
+    range: { min: 0, max: 500, step: 10 }
+  });
+
+  game.settings.register(MODULE_ID, "mirrorExtrapolateMs", {
+    name: game.i18n.localize("CFT.MirrorExtrapolate.name"),
+    hint: game.i18n.localize("CFT.MirrorExtrapolate.hint"),
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 100,
+    range: { min: 0, max: 500, step: 10 }
+  });
+
+  game.settings.register(MODULE_ID, "cameraEffects", {
+    name: game.i18n.localize("CFT.CameraEffects.name"),
+    hint: game.i18n.localize("CFT.CameraEffects.hint"),
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: true,
+    onChange: (on) => { if (!on) _stopCameraEffects(); }
+  });
+
+  game.settings.register(MODULE_ID, "spectate", {
+    name: "Spectate (FTT)",
+    hint: "Follow the explicit follow-target list instead of controlled tokens.",
+    scope: "client",
+    config: false,
+    type: Boolean,
+    default: false,
+    onChange: _onSpectateChanged
+  });
+
+  game.settings.register(MODULE_ID, "followTargetIds", {
+    name: "Follow Targets (FTT)",
+    hint: "Internal list of token IDs followed while spectating.",
+    scope: "client",
+    config: false,
+    type: Array,
+    default: [],
+    onChange: _onSpectateChanged
   });
 
   game.settings.register(MODULE_ID, "cinSnapshot", {
@@ -1117,6 +4515,122 @@ Hooks.once("init", () => {
     onChange: _onCinematicModeChanged
   });
 
+  game.settings.register(MODULE_ID, "shotDuration", {
+    name: game.i18n.localize("CFT.ShotDuration.name"),
+    hint: game.i18n.localize("CFT.ShotDuration.hint"),
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 1500,
+    range: { min: 0, max: 10000, step: 100 }
+  });
+
+  game.settings.register(MODULE_ID, "shotEasing", {
+    name: game.i18n.localize("CFT.ShotEasing.name"),
+    hint: game.i18n.localize("CFT.ShotEasing.hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: "easeInOutCubic",
+    choices: {
+      linear: "CFT.Easing.linear",
+      easeInOutSine: "CFT.Easing.easeInOutSine",
+      easeInOutCubic: "CFT.Easing.easeInOutCubic",
+      easeOutCubic: "CFT.Easing.easeOutCubic"
+    }
+  });
+
+  game.settings.register(MODULE_ID, "cinematicVisibility", {
+    name: game.i18n.localize("CFT.CinematicVisibility.name"),
+    hint: game.i18n.localize("CFT.CinematicVisibility.hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: "visible",
+    choices: {
+      visible: "CFT.CinematicVisibility.visible",
+      lastVisible: "CFT.CinematicVisibility.lastVisible",
+      proxy: "CFT.CinematicVisibility.proxy"
+    },
+    onChange: _onCinematicVisibilityChanged
+  });
+
+  game.settings.register(MODULE_ID, "cinematicProxy", {
+    name: "Cinematic proxy point",
+    hint: "Internal: { sceneId, x, y } followed by players instead of tokens they cannot see.",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: null,
+    onChange: _onCinematicVisibilityChanged
+  });
+
+  game.settings.register(MODULE_ID, "gmRole", {
+    name: game.i18n.localize("CFT.DirectorRole.gmRole.name"),
+    hint: game.i18n.localize("CFT.DirectorRole.gmRole.hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: "viewer",
+    choices: {
+      viewer: "CFT.DirectorRole.gmRole.viewer",
+      player: "CFT.DirectorRole.gmRole.player"
+    },
+    onChange: () => _onRoleChanged()
+  });
+
+  game.settings.register(MODULE_ID, "cinematicSceneChange", {
+    name: game.i18n.localize("CFT.CinematicSceneChange.name"),
+    hint: game.i18n.localize("CFT.CinematicSceneChange.hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: "pull",
+    choices: {
+      pull: "CFT.CinematicSceneChange.pull",
+      release: "CFT.CinematicSceneChange.release"
+    },
+    onChange: () => _checkCinematicScene()
+  });
+
+  game.settings.register(MODULE_ID, "presentationLetterbox", {
+    name: game.i18n.localize("CFT.Presentation.letterbox.name"),
+    hint: game.i18n.localize("CFT.Presentation.letterbox.hint"),
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 0,
+    range: { min: 0, max: 0.2, step: 0.01 },
+    onChange: _onPresentationSettingChanged
+  });
+
+  for (const key of Object.keys(PRESENTATION_UI_REGIONS)) {
+    game.settings.register(MODULE_ID, key, {
+      name: game.i18n.localize(`CFT.Presentation.${key}`),
+      hint: game.i18n.localize("CFT.Presentation.hideHint"),
+      scope: "world",
+      config: true,
+      type: Boolean,
+      default: false,
+      onChange: _onPresentationSettingChanged
+    });
+  }
+
+  game.settings.register(MODULE_ID, "combatFollow", {
+    name: game.i18n.localize("CFT.CombatFollow.name"),
+    hint: game.i18n.localize("CFT.CombatFollow.hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: "off",
+    choices: {
+      off: "CFT.CombatFollow.off",
+      gm: "CFT.CombatFollow.gm",
+      all: "CFT.CombatFollow.all"
+    },
+    onChange: () => _updateCombatFocus()
+  });
+
   game.settings.register(MODULE_ID, "gmForceFollow", {
     name: game.i18n.localize("CFT.Force.name"),
     hint: game.i18n.localize("CFT.Force.hint"),
@@ -1137,6 +4651,39 @@ Hooks.once("init", () => {
     onChange: _onCinematicChanged
   });
 
+  game.settings.register(MODULE_ID, "forceMembers", {
+    name: "Force Follow Members (FTT)",
+    hint: "Internal list of user IDs targeted by Force Follow. Empty = all players.",
+    scope: "world",
+    config: false,
+    type: Array,
+    default: [],
+    onChange: _onForceMembersChanged
+  });
+
+  game.settings.register(MODULE_ID, "cinematicMembers", {
+    name: "Cinematic Members (FTT)",
+    hint: "Internal list of user IDs targeted by Cinematic. Empty = all players.",
+    scope: "world",
+    config: false,
+    type: Array,
+    default: [],
+    onChange: () => _onCinematicChanged()
+  });
+
+  game.settings.register(MODULE_ID, "directorId", {
+    name: "Director (user ID)",
+    hint: "Internal: the user whose camera and selection drive Cinematic. Empty = the active GM.",
+    scope: "world",
+    config: false,
+    type: String,
+    default: "",
+    onChange: () => {
+      _onRoleChanged();
+      _directorApp?.render();
+    }
+  });
+
   game.settings.register(MODULE_ID, "gmSelectionIds", {
     name: "GM Selection (IDs)",
     hint: "Internal storage of GM-selected token IDs.",
@@ -1163,27 +4710,36 @@ Hooks.once("init", () => {
     hint: game.i18n.localize("CFT.Toggle.name"),
     editable: [{ key: "KeyF", modifiers: ["Alt"] }],
     onDown: () => {
-      const camMode = _isCinematicCameraMode();
+      _toggleLocalFollow();
+      return true;
+    },
+    precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+  });
 
-      if (_isCinematicOn()) {
-        // In Cinematic, only GM in camera mode can toggle their own follow
-        if (!(camMode && game.user?.isGM)) {
-          ui?.notifications?.warn(game.i18n.localize("CFT.Force.lockedPlayer"));
-          return true;
-        }
+  game.keybindings.register(MODULE_ID, "toggleSpectate", {
+    name: game.i18n.localize("CFT.Spectate.kbToggle"),
+    hint: game.i18n.localize("CFT.Spectate.kbToggleHint"),
+    editable: [{ key: "KeyF", modifiers: ["Alt", "Shift"] }],
+    onDown: () => {
+      if (_isCinematicLockedForMe()) {
+        ui?.notifications?.warn(game.i18n.localize("CFT.Force.lockedPlayer"));
+        return true;
       }
+      _toggleSpectate();
+      return true;
+    },
+    precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+  });
 
-      if (_isForceOnForMe()) {
+  game.keybindings.register(MODULE_ID, "spectateTargets", {
+    name: game.i18n.localize("CFT.Spectate.kbTargets"),
+    editable: [],
+    onDown: () => {
+      if (_isCinematicLockedForMe()) {
         ui?.notifications?.warn(game.i18n.localize("CFT.Force.lockedPlayer"));
         return true;
       }
-
-      const v = !_isLocalEnabled();
-      game.settings.set(MODULE_ID, "enabled", v);
-      ui.notifications?.info(
-        v ? game.i18n.localize("CFT.Toggle.on")
-          : game.i18n.localize("CFT.Toggle.off")
-      );
+      _spectateMyTargets();
       return true;
     },
     precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
@@ -1196,8 +4752,7 @@ Hooks.once("init", () => {
     restricted: true,
     onDown: async () => {
       if (!game.user?.isGM) return true;
-      const v = !_isForceOn();
-      await game.settings.set(MODULE_ID, "gmForceFollow", v);
+      await _setForceFollow(!_isForceOn());
       return true;
     },
     precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
@@ -1210,27 +4765,236 @@ Hooks.once("init", () => {
     restricted: true,
     onDown: async () => {
       if (!game.user?.isGM) return true;
-      const turningOn = !_isCinematicOn();
+      await _setCinematic(!_isCinematicOn());
+      return true;
+    },
+    precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+  });
 
-      if (turningOn) {
-        const state = _buildGmCameraState("cinToggleOn");
-        if (state) {
-          await game.settings.set(MODULE_ID, "gmCameraState", state);
-        }
+  game.keybindings.register(MODULE_ID, "toggleForceSelected", {
+    name: game.i18n.localize("CFT.Force.kbSelectedName"),
+    hint: game.i18n.localize("CFT.Force.kbSelectedHint"),
+    editable: [{ key: "KeyF", modifiers: ["Control", "Alt", "Shift"] }],
+    restricted: true,
+    onDown: async () => {
+      if (!game.user?.isGM) return true;
+      if (_isForceOn()) {
+        await _setForceFollow(false);
+        return true;
+      }
+      const members = _getTokenOwnerIds(canvas?.tokens?.controlled);
+      if (!members.length) {
+        ui.notifications?.warn(game.i18n.localize("CFT.Members.noOwners"));
+        return true;
+      }
+      await _setForceFollow(true, { members });
+      return true;
+    },
+    precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+  });
+
+  game.keybindings.register(MODULE_ID, "toggleCinematicSelected", {
+    name: game.i18n.localize("CFT.Cinematic.kbSelectedName"),
+    hint: game.i18n.localize("CFT.Cinematic.kbSelectedHint"),
+    editable: [{ key: "KeyF", modifiers: ["Control", "Shift"] }],
+    restricted: true,
+    onDown: async () => {
+      if (!game.user?.isGM) return true;
+      if (_isCinematicOn()) {
+        await _setCinematic(false);
+        return true;
+      }
+      const members = _getTokenOwnerIds(canvas?.tokens?.controlled);
+      if (!members.length) {
+        ui.notifications?.warn(game.i18n.localize("CFT.Members.noOwners"));
+        return true;
       }
+      await _setCinematic(true, { members });
+      return true;
+    },
+    precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+  });
+
+  game.keybindings.register(MODULE_ID, "openShots", {
+    name: game.i18n.localize("CFT.Shots.kbOpen"),
+    editable: [],
+    onDown: () => {
+      _openShotsApp();
+      return true;
+    },
+    precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+  });
+
+  game.keybindings.register(MODULE_ID, "saveShot", {
+    name: game.i18n.localize("CFT.Shots.kbSave"),
+    editable: [],
+    restricted: true,
+    onDown: () => {
+      _promptSaveShot();
+      return true;
+    },
+    precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+  });
+
+  game.keybindings.register(MODULE_ID, "openDirector", {
+    name: game.i18n.localize("CFT.Director.kbOpen"),
+    editable: [],
+    restricted: true,
+    onDown: () => {
+      _openDirectorApp();
+      return true;
+    },
+    precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+  });
+
+  game.keybindings.register(MODULE_ID, "effectShake", {
+    name: game.i18n.localize("CFT.Effects.kbShake"),
+    editable: [],
+    onDown: () => {
+      if (!_isDirector()) return false;
+      _triggerCameraEffect("shake");
+      return true;
+    },
+    precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+  });
+
+  game.keybindings.register(MODULE_ID, "effectZoomPunch", {
+    name: game.i18n.localize("CFT.Effects.kbZoomPunch"),
+    editable: [],
+    onDown: () => {
+      if (!_isDirector()) return false;
+      _triggerCameraEffect("zoomPunch");
+      return true;
+    },
+    precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+  });
+
+  game.keybindings.register(MODULE_ID, "effectDolly", {
+    name: game.i18n.localize("CFT.Effects.kbDolly"),
+    hint: game.i18n.localize("CFT.Effects.kbDollyHint"),
+    editable: [],
+    onDown: () => {
+      if (!_isDirector()) return false;
+      const hover = canvas?.tokens?.hover;
+      _triggerCameraEffect("dolly", hover ? { ...hover.center } : {});
+      return true;
+    },
+    precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+  });
+
+  game.keybindings.register(MODULE_ID, "previewPresentation", {
+    name: game.i18n.localize("CFT.Presentation.kbPreview"),
+    hint: game.i18n.localize("CFT.Presentation.kbPreviewHint"),
+    editable: [],
+    restricted: true,
+    onDown: () => {
+      _togglePresentationPreview();
+      return true;
+    },
+    precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+  });
+
+  game.keybindings.register(MODULE_ID, "setCinematicProxy", {
+    name: game.i18n.localize("CFT.CinematicVisibility.kbProxy"),
+    hint: game.i18n.localize("CFT.CinematicVisibility.kbProxyHint"),
+    editable: [],
+    restricted: true,
+    onDown: () => {
+      const p = canvas?.mousePosition;
+      if (p) _setCinematicProxy(p);
+      return true;
+    },
+    precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+  });
+
+  game.keybindings.register(MODULE_ID, "openPaths", {
+    name: game.i18n.localize("CFT.Paths.kbOpen"),
+    editable: [],
+    onDown: () => {
+      _openPathsApp();
+      return true;
+    },
+    precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+  });
+
+  game.keybindings.register(MODULE_ID, "toggleRecordPath", {
+    name: game.i18n.localize("CFT.Paths.kbRecord"),
+    editable: [],
+    onDown: () => {
+      if (!_isDirector()) return false;
+      if (_recording) _stopPathRecording();
+      else _startPathRecording();
+      return true;
+    },
+    precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+  });
+
+  game.keybindings.register(MODULE_ID, "pausePath", {
+    name: game.i18n.localize("CFT.Paths.kbPause"),
+    editable: [],
+    onDown: () => {
+      if (!_isDirector()) return false;
+      _togglePausePath();
+      return true;
+    },
+    precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+  });
 
-      await game.settings.set(MODULE_ID, "gmCinematic", turningOn);
+  game.keybindings.register(MODULE_ID, "stopPath", {
+    name: game.i18n.localize("CFT.Paths.kbStop"),
+    editable: [],
+    onDown: () => {
+      if (!_isDirector()) return false;
+      _stopPath();
       return true;
     },
     precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
   });
+
+  for (let n = 1; n <= 9; n++) {
+    game.keybindings.register(MODULE_ID, `recallShot${n}`, {
+      name: game.i18n.format("CFT.Shots.kbRecall", { n }),
+      editable: [{ key: `Digit${n}`, modifiers: ["Alt", "Shift"] }],
+      onDown: () => {
+        if (!_isDirector()) return false;
+        _recallShot(n);
+        return true;
+      },
+      precedence: (window.CONST?.KEYBINDING_PRECEDENCE?.NORMAL) ?? 100
+    });
+  }
 });
 
 // ---------------------------
 // Canvas lifecycle hooks
 // ---------------------------
 Hooks.on("ready", () => {
+  game.socket?.on(SOCKET_NAME, _onSocketMessage);
+  _forceAppliedForMe = _isForceOnForMe();
+  _cinAppliedForMe = _isCinematicOnForMe();
+  _cinAsDirector = _isDirector();
+  _appliedRole = _getRole();
+  _appliedDirectorId = _getDirectorId();
+  _followWasActive = _isFollowActive();
+  _lastGmSeen = Date.now();
   if (game.user?.isGM) _renderGMBanners();
+  else _checkGmPresence();
+  _reportUserStatus();
+  _startHeartbeat();
+});
+
+// Director panel: users joining/leaving. Players: GM presence. Everyone: the director may change
+Hooks.on("userConnected", (user, connected) => {
+  _onRoleChanged();
+  if (!game.user?.isGM) {
+    if (!user.isGM) return;
+    if (connected) _lastGmSeen = Date.now();
+    _checkGmPresence();
+    return;
+  }
+  if (!connected) _userStatus.delete(user.id);
+  _directorApp?.render();
+  _renderGMBanners();
 });
 
 Hooks.on("canvasReady", () => {
@@ -1238,12 +5002,12 @@ Hooks.on("canvasReady", () => {
   _bindPixiPointer();
   if (game.user?.isGM) _renderGMBanners();
 
-  if (game.user?.isGM && _isCinematicOn()) {
-    _pushGmCameraState("canvasReady");
+  if (_isDirector() && _isCinematicOn()) {
+    _pushGmCameraState("canvasReady", { persist: true });
     _startGmCameraWatcher();
   }
 
-  if (!game.user?.isGM && _isCinematicOn()) {
+  if (_isCinematicLockedForMe()) {
     const stage = canvas?.stage;
     if (stage) {
       _prevStageEventMode = stage.eventMode ?? "static";
@@ -1251,24 +5015,54 @@ Hooks.on("canvasReady", () => {
       stage.eventMode = "none";
       stage.interactiveChildren = false;
     }
+    _applyPresentation();
     const state = _getGmCameraState();
     _applyGmCameraState(state, { instant: true });
   }
+
+  // After the lock above: resuming a scene-suspended Cinematic locks through _enterCinematic
+  _checkCinematicScene();
+  _updateCombatFocus();
 });
 
 Hooks.on("canvasTearDown", () => {
+  _stopCameraTween();
+  _stopCameraEffects();
+  if (_recording) _stopPathRecording({ save: false });
+  if (_playback) _stopPath();
+  _tokenMotion.clear();
+  _lastVisiblePoints.clear();
+  _combatFocusId = null;
   _unbindDomMouseBlockers();
   _unbindPixiPointer();
   _stopTicker();
+  _resetCameraBounds();
   _stopGmCameraWatcher();
+  _resetGmCameraBroadcast();
+  _resetMirror();
   _hideAllGMBanners();
 });
 
-// GM broadcasts current selection (for classic Cinematic)
+// Keep the shots/paths windows in sync with the viewed scene's flags
+Hooks.on("updateScene", (scene, changes) => {
+  if (scene.id !== canvas?.scene?.id) return;
+  if (!foundry.utils.hasProperty(changes, `flags.${MODULE_ID}`)) return;
+  if (_shotsApp?.rendered) _shotsApp.render();
+  if (_pathsApp?.rendered) _pathsApp.render();
+});
+
+Hooks.on("canvasReady", () => {
+  if (_shotsApp?.rendered) _shotsApp.render();
+  if (_pathsApp?.rendered) _pathsApp.render();
+  _onFollowStateChanged();
+});
+
+// Director broadcasts current selection (for classic Cinematic)
 Hooks.on("controlToken", async () => {
-  if (game.user?.isGM) {
+  _onFollowStateChanged();
+  if (_isDirector()) {
     const ids = (canvas?.tokens?.controlled ?? []).map(t => t.document.id);
-    try { await game.settings.set(MODULE_ID, "gmSelectionIds", ids); } catch (_) {}
+    try { await _setDirectorSetting("gmSelectionIds", ids); } catch (_) {}
 
     if (_isCinematicOn() && !_isCinematicCameraMode()) {
       await _pushGmCameraState("gmControlToken");
@@ -1281,8 +5075,7 @@ Hooks.on("controlToken", async () => {
  * any attempt to change selection is reverted to the locked token set.
  */
 Hooks.on("controlToken", (token, controlled) => {
-  if (!_isCinematicOn()) return;
-  if (game.user?.isGM) return;
+  if (!_isCinematicLockedForMe()) return;
   if (_lockSelectionGuard) return;
 
   const snap = _getCinSnapshot();
@@ -1290,8 +5083,7 @@ Hooks.on("controlToken", (token, controlled) => {
   if (!lockedIds || !lockedIds.length) return;
 
   setTimeout(() => {
-    if (!_isCinematicOn()) return;
-    if (game.user?.isGM) return;
+    if (!_isCinematicLockedForMe()) return;
 
     _lockSelectionGuard = true;
     try {
@@ -1308,8 +5100,7 @@ Hooks.on("controlToken", (token, controlled) => {
  * Any pan by a player in Cinematic is immediately reverted to GM camera.
  */
 Hooks.on("canvasPan", () => {
-  if (!_isCinematicOn()) return;
-  if (game.user?.isGM) return;
+  if (!_isCinematicLockedForMe()) return;
   if (_squelchCanvasPan) return;
 
   try {
@@ -1318,8 +5109,8 @@ Hooks.on("canvasPan", () => {
     const camMode = _isCinematicCameraMode();
 
     if (camMode) {
-      const state = _getGmCameraState();
-      _applyGmCameraState(state, { instant: true });
+      if (_mirrorLastView) _applyMirrorView(_mirrorLastView);
+      else _applyGmCameraState(_getGmCameraState(), { instant: true });
     } else {
       const tokens = _getFollowTokens();
       const center = _getGroupCenter(tokens);
@@ -1334,8 +5125,7 @@ Hooks.on("canvasPan", () => {
 
 // Block token movement by players during any Cinematic
 Hooks.on("preUpdateToken", (doc, change) => {
-  if (!_isCinematicOn()) return;
-  if (game.user?.isGM) return;
+  if (!_isCinematicLockedForMe()) return;
   if ("x" in change || "y" in change || "elevation" in change || "rotation" in change) return false;
 });
 
@@ -1344,16 +5134,8 @@ Hooks.on("updateToken", (doc, changes) => {
   if (!_isFollowActive()) return;
   if (!("x" in changes || "y" in changes)) return;
 
-  if (_isCinematicOn() && !_isCinematicCameraMode()) {
-    const gmIds = new Set(_getGMSelectionIds());
-    if (!gmIds.has(doc.id)) return;
-  } else if (!_isCinematicOn()) {
-    const myIds = new Set((canvas?.tokens?.controlled ?? []).map(t => t.document.id));
-    if (!myIds.has(doc.id)) return;
-  } else {
-    const myIds = new Set((canvas?.tokens?.controlled ?? []).map(t => t.document.id));
-    if (!myIds.has(doc.id)) return;
-  }
+  const followedIds = new Set(_getFollowTokens().map(t => t.document.id));
+  if (!followedIds.has(doc.id)) return;
 
   const now = _now();
   const startingMovement = _wasIdle(now);
@@ -1361,17 +5143,210 @@ Hooks.on("updateToken", (doc, changes) => {
   if (startingMovement) {
     _forceCancelPanButtons();
 
-    const tokens = _getFollowTokens();
-    const center = _getGroupCenter(tokens);
-    if (center) _setCenter(center.x, center.y, true);
+    // With a deadzone the ticker decides when to move; no recenter on every step
+    if (!_hasDeadzone()) {
+      const tokens = _getFollowTokens();
+      const center = _getGroupCenter(tokens);
+      const anchor = center ? _getFollowAnchor(tokens, center) : null;
+      if (anchor && !_isFollowPausedAt(anchor)) {
+        _setCenter(center.x, center.y, true, { scale: _getZoneScale(anchor) });
+      }
+    }
   }
 
+  _recordTokenMotion(doc);
   _lastMoveTs = now;
   _startTicker();
 });
 
+// Per-scene config: Follow The Token tab in the Scene configuration sheet
+Hooks.on("renderSceneConfig", (app, html) => {
+  if (!game.user?.isGM) return;
+  const root = html instanceof HTMLElement ? html : html?.[0];
+  const nav = root?.querySelector('nav.sheet-tabs[data-group="sheet"], nav.tabs[data-group="sheet"]');
+  const lastTab = root?.querySelectorAll('.tab[data-group="sheet"]');
+  if (!nav || !lastTab?.length || nav.querySelector(`[data-tab="${MODULE_ID}"]`)) return;
+
+  const active = app.tabGroups?.sheet === MODULE_ID;
+  const scene = app.document;
+  const cfg = _getSceneConfig(scene);
+  const prefix = `flags.${MODULE_ID}.config`;
+  const L = (k) => game.i18n.localize(k);
+
+  const link = document.createElement("a");
+  link.dataset.action = "tab";
+  link.dataset.group = "sheet";
+  link.dataset.tab = MODULE_ID;
+  if (active) link.classList.add("active");
+  link.innerHTML = `<i class="fa-solid fa-video"></i> <label>${L("CFT.SceneConfig.tab")}</label>`;
+  nav.appendChild(link);
+
+  const numberField = (key, { min, max, step }) => `
+    <div class="form-group">
+      <label>${L(`CFT.SceneConfig.${key}`)}</label>
+      <div class="form-fields">
+        <input type="number" name="${prefix}.${key}" min="${min}" max="${max}" step="${step}"
+          value="${cfg[key] ?? ""}" placeholder="${game.settings.get(MODULE_ID, key)}">
+      </div>
+    </div>`;
+  const selectField = (key, options) => `
+    <div class="form-group">
+      <label>${L(`CFT.SceneConfig.${key}`)}</label>
+      <div class="form-fields">
+        <select name="${prefix}.${key}">
+          ${options.map(([v, label]) => `<option value="${v}"${(cfg[key] ?? "") === v ? " selected" : ""}>${L(label)}</option>`).join("")}
+        </select>
+      </div>
+    </div>`;
+
+  const tab = document.createElement("div");
+  tab.className = `tab${active ? " active" : ""}`;
+  tab.dataset.group = "sheet";
+  tab.dataset.tab = MODULE_ID;
+  tab.innerHTML = `
+    <p class="hint">${L("CFT.SceneConfig.hint")}</p>
+    ${selectField("retainZoom", [["", "CFT.SceneConfig.default"], ["on", "CFT.SceneConfig.on"], ["off", "CFT.SceneConfig.off"]])}
+    ${selectField("clampToScene", [["", "CFT.SceneConfig.default"], ["on", "CFT.SceneConfig.on"], ["off", "CFT.SceneConfig.off"]])}
+    ${numberField("scale", { min: 0.25, max: 3, step: 0.05 })}
+    ${numberField("responsiveness", { min: 0.05, max: 0.5, step: 0.01 })}
+    ${numberField("maxSpeed", { min: 0, max: 8000, step: 50 })}
+    ${numberField("idleMs", { min: 100, max: 2000, step: 50 })}
+    ${selectField("cinematicStyle", [["", "CFT.SceneConfig.default"], ["classic", "CFT.Cinematic.modeClassic"], ["camera", "CFT.Cinematic.modeCamera"]])}
+    <div class="form-group">
+      <label>${L("CFT.SceneConfig.forceOnActivate")}</label>
+      <div class="form-fields">
+        <input type="checkbox" name="${prefix}.forceOnActivate"${cfg.forceOnActivate ? " checked" : ""}>
+      </div>
+      <p class="hint">${L("CFT.SceneConfig.forceOnActivateHint")}</p>
+    </div>`;
+  lastTab[lastTab.length - 1].after(tab);
+});
+
+// Per-scene config: Force Follow when a scene that asks for it is activated
+Hooks.on("updateScene", (scene, changes) => {
+  if (changes.active === true && game.users?.activeGM?.isSelf && _getSceneConfig(scene).forceOnActivate) {
+    _setForceFollow(true);
+  }
+});
+
+// Combat follow: turn/round changes and encounter overrides
+Hooks.on("updateCombat", (combat, changed) => {
+  if (combat.id !== game.combat?.id) return;
+  if (!("turn" in changed || "round" in changed || foundry.utils.hasProperty(changed, `flags.${MODULE_ID}`))) return;
+  _updateCombatFocus(combat);
+});
+
+Hooks.on("deleteCombat", () => _updateCombatFocus());
+Hooks.on("combatStart", (combat) => _updateCombatFocus(combat));
+
+// Combat tracker: GM button cycling this encounter's combat-follow override
+Hooks.on("renderCombatTracker", (app, html) => {
+  if (!game.user?.isGM) return;
+  const combat = game.combat;
+  const root = html instanceof HTMLElement ? html : html?.[0];
+  const host = root?.querySelector(".encounter-controls, .combat-tracker-header");
+  if (!combat || !host || host.querySelector(".ftt-combat-follow")) return;
+
+  const override = combat.getFlag(MODULE_ID, "combatFollow");
+  const label = COMBAT_FOLLOW_MODES.includes(override)
+    ? game.i18n.localize(`CFT.CombatFollow.${override}`)
+    : game.i18n.localize("CFT.CombatFollow.default");
+
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = `inline-control icon ftt-combat-follow${override ? " active" : ""}`;
+  btn.dataset.tooltip = game.i18n.format("CFT.CombatFollow.override", { mode: label });
+  btn.innerHTML = `<i class="fa-solid fa-video"></i>`;
+  btn.addEventListener("click", async (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const cycle = ["default", ...COMBAT_FOLLOW_MODES];
+    const next = cycle[(cycle.indexOf(override ?? "default") + 1) % cycle.length];
+    await _setCombatFollowOverride(next, combat);
+  });
+  host.appendChild(btn);
+});
+
+// Token HUD: follow/unfollow this token without controlling it
+Hooks.on("renderTokenHUD", (hud, html) => {
+  const root = html instanceof HTMLElement ? html : html?.[0];
+  const col = root?.querySelector(".col.right");
+  const id = hud.object?.document?.id;
+  if (!col || !id) return;
+
+  const following = _getFollowTargetIds().includes(id);
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = `control-icon ftt-follow-target${following ? " active" : ""}`;
+  btn.dataset.tooltip = game.i18n.localize(following ? "CFT.Spectate.hudRemove" : "CFT.Spectate.hudAdd");
+  btn.innerHTML = `<i class="fa-solid fa-video"></i>`;
+  btn.addEventListener("click", async (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    await _toggleFollowTarget(id);
+    hud.render();
+  });
+  col.appendChild(btn);
+});
+
+// Scene controls: Local Follow for everyone; Force, Cinematic and its style for the GM
+Hooks.on("getSceneControlButtons", (controls) => {
+  const tools = controls?.tokens?.tools;
+  if (!tools) return;
+  let order = Object.keys(tools).length;
+
+  tools.fttLocalFollow = _makeControlTool("fttLocalFollow", {
+    icon: "fa-solid fa-crosshairs",
+    titleKey: "CFT.Controls.localFollow",
+    active: _isLocalEnabled(),
+    lock: _getLocalFollowLock(),
+    order: order++,
+    onToggle: _toggleLocalFollow
+  });
+
+  if (!game.user?.isGM) return;
+
+  tools.fttForceFollow = _makeControlTool("fttForceFollow", {
+    icon: "fa-solid fa-users-viewfinder",
+    titleKey: "CFT.Controls.forceFollow",
+    active: _isForceOn(),
+    lock: null,
+    order: order++,
+    onToggle: () => _setForceFollow(!_isForceOn())
+  });
+
+  tools.fttCinematic = _makeControlTool("fttCinematic", {
+    icon: "fa-solid fa-film",
+    titleKey: "CFT.Controls.cinematic",
+    active: _isCinematicOn(),
+    lock: _getCinematicLock(),
+    order: order++,
+    onToggle: () => _setCinematic(!_isCinematicOn())
+  });
+
+  tools.fttCinematicStyle = _makeControlTool("fttCinematicStyle", {
+    icon: "fa-solid fa-video",
+    titleKey: _isCinematicCameraMode() ? "CFT.Controls.styleCamera" : "CFT.Controls.styleClassic",
+    active: _isCinematicCameraMode(),
+    lock: _getCinematicLock(),
+    order: order++,
+    onToggle: _toggleCinematicStyle
+  });
+
+  tools.fttDirector = {
+    name: "fttDirector",
+    title: "CFT.Director.title",
+    icon: "fa-solid fa-clapperboard",
+    order: order++,
+    button: true,
+    onChange: () => _openDirectorApp()
+  };
+});
+
 // Stop ticker if there is nothing left to follow
-Hooks.on("deleteToken", () => {
+Hooks.on("deleteToken", (doc) => {
+  _tokenMotion.delete(doc.id);
+  _lastVisiblePoints.delete(doc.id);
   if (!_isFollowActive()) return;
   const tokens = _getFollowTokens();
   if (!tokens.length) _stopTicker();
@@ -1379,18 +5354,138 @@ Hooks.on("deleteToken", () => {
 
 // Integration with rotate-camera-8d: keep GM camera rotation synced in Cinematic
 Hooks.on("rotateCamera8dRotated", async () => {
-  if (!_isCinematicOn()) return;
+  if (_squelchRotateHook) return;
+  if (!_isCinematicOnForMe()) return;
 
-  if (game.user?.isGM) {
+  if (_isDirector()) {
     await _pushGmCameraState("rotate");
   } else {
-    const state = _getGmCameraState();
-    if (state) _applyGmCameraState(state, { instant: true });
+    if (_mirrorLastView) _applyMirrorView(_mirrorLastView);
+    else _applyGmCameraState(_getGmCameraState(), { instant: true });
   }
 });
 
-// Simple public API for other modules/macros
-window.FollowTheTokenAPI = {
+// Chat commands: handled here instead of being posted
+Hooks.on("chatMessage", (chatLog, message) => {
+  const match = CHAT_COMMAND_RE.exec(String(message ?? "").trim());
+  if (!match) return;
+  _runChatCommand(match[1].toLowerCase(), match[2]?.trim() ?? "");
+  return false;
+});
+
+// Public API for other modules/macros: game.modules.get("follow-the-token").api
+// (window.FollowTheTokenAPI is kept as an alias).
+//
+// Hooks (Hooks.callAll, on every client):
+//  - followTheToken.followStart / followStop ({ user, tokens }): follow turned on/off here.
+//  - followTheToken.cinematicStart / cinematicEnd ({ style, members }): Cinematic applied/lifted here.
+//  - followTheToken.cameraSynced (state): GM camera settled (GM) or a full GM state was applied (players).
+//  - followTheToken.roleChanged ({ role, previous, directorId }): this client became/stopped being the director.
+// Cancellable (Hooks.call, return false to cancel):
+//  - followTheToken.preFollowStart / preFollowStop ({ user, tokens }): Local Follow toggle.
+//  - followTheToken.preCinematicStart / preCinematicEnd ({ style, members }): GM turning Cinematic on/off.
+const FollowTheTokenAPI = {
   isFollowActive: _isFollowActive,
-  getCurrentCenterWorld: _currentCenterWorld
+  getCurrentCenterWorld: _currentCenterWorld,
+
+  // Current mode for this client
+  getMode: () => ({
+    followActive: _isFollowActive(),
+    localFollow: _isLocalEnabled(),
+    spectating: _isSpectating(),
+    combatFocusId: _combatFocusId,
+    role: _getRole(),
+    directorId: _getDirectorId(),
+    force: { active: _isForceOn(), members: _getForceMembers(), appliesToMe: _isForceOnForMe() },
+    cinematic: {
+      active: _isCinematicOn(),
+      style: _isCinematicCameraMode() ? "camera" : "classic",
+      members: _getCinematicMembers(),
+      appliesToMe: _isCinematicOnForMe()
+    }
+  }),
+
+  // Local Follow (false when locked or cancelled by a pre-hook)
+  isLocalFollowEnabled: _isLocalEnabled,
+  setLocalFollow: (on) => _setLocalFollow(on),
+
+  // GM: Cinematic in either style
+  startCinematic: ({ style = null, members = [] } = {}) => _setCinematic(true, { style, members }),
+  stopCinematic: () => _setCinematic(false),
+
+  // GM: point followed by players instead of tokens they cannot see ("proxy" visibility policy)
+  getCinematicProxy: _getCinematicProxy,
+  setCinematicProxy: (point) => _setCinematicProxy(point),
+
+  // Director: the user whose camera and selection drive Cinematic; set is GM-only (null = active GM)
+  getDirector: () => game.users?.get(_getDirectorId()) ?? null,
+  setDirector: (userId) => _setDirector(userId),
+  getRole: (user = game.user) => _getRole(user),
+
+  // Director camera: state as the director sees it (director) or as last received (others); set is director-only
+  getCameraState: () => (_isDirector() ? _buildGmCameraState("api") : _getGmCameraState()),
+  setCameraState: (view, { duration, easing } = {}) => _setGmCamera(view, { duration, easing }),
+
+  // GM: Cinematic / Force Follow, optionally limited to some user ids
+  setCinematic: (active, { members = [], style = null } = {}) => _setCinematic(active, { members, style }),
+  setForceFollow: (active, { members = [] } = {}) => _setForceFollow(active, { members }),
+  getCinematicMembers: _getCinematicMembers,
+  getForceMembers: _getForceMembers,
+  getTokenOwnerIds: (tokens) => _getTokenOwnerIds(tokens),
+
+  // Spectate: follow tokens without controlling them
+  getFollowTargets: _getFollowTargetIds,
+  followTokens: (ids) => _setFollowTargets(ids),
+  addFollowTarget: (id) => _setFollowTargets([..._getFollowTargetIds(), id]),
+  removeFollowTarget: (id) => _setFollowTargets(_getFollowTargetIds().filter(i => i !== id), { spectate: null }),
+  clearFollowTargets: () => _setFollowTargets([], { spectate: false }),
+  setSpectate: async (on) => {
+    if (_isCinematicLockedForMe()) return false;
+    await game.settings.set(MODULE_ID, "spectate", Boolean(on));
+    return true;
+  },
+  isSpectating: _isSpectating,
+
+  // Combat follow
+  getCombatFollowMode: (combat) => _getCombatFollowMode(combat ?? game.combat),
+  setCombatFollow: (mode, combat) => _setCombatFollowOverride(mode, combat ?? game.combat),
+
+  // Camera shots on the viewed scene (ref = id, name or 1-based index): the director recalls, a GM saves/deletes
+  getShots: (scene) => _getSceneShots(scene),
+  saveShot: (name) => _saveShot(name),
+  deleteShot: (id) => _deleteShot(id),
+  recallShot: (ref, { duration, easing } = {}) => _recallShot(ref, { duration, easing }),
+  openShots: _openShotsApp,
+
+  // Director: camera paths on the viewed scene (deleting is GM-only; a player director plays inside a running Cinematic)
+  getPaths: (scene) => _getScenePaths(scene),
+  startRecording: _startPathRecording,
+  stopRecording: () => _stopPathRecording(),
+  playPath: (ref) => _playPath(ref),
+  pausePath: _togglePausePath,
+  stopPath: () => _stopPath(),
+  deletePath: (id) => _deletePath(id),
+  openPaths: _openPathsApp,
+
+  // Director: camera effects, played here and on every client locked by Cinematic
+  shake: ({ intensity, duration } = {}) => _triggerCameraEffect("shake", _definedOnly({ intensity, duration })),
+  zoomPunch: ({ amount, duration } = {}) => _triggerCameraEffect("zoomPunch", _definedOnly({ amount, duration })),
+  dolly: ({ x, y, amount, duration, release } = {}) =>
+    _triggerCameraEffect("dolly", _definedOnly({ x, y, amount, duration, release })),
+  stopCameraEffects: _triggerStopCameraEffects,
+
+  // GM: preview the players' Cinematic presentation (letterbox, hidden UI) here
+  previewPresentation: (on) => _togglePresentationPreview(on ?? !_presentationPreview),
+
+  // GM: Director panel and player sync status
+  openDirector: _openDirectorApp,
+  getUserStatus: (userId) => _userStatus.get(userId) ?? null,
+  getUserSyncProblem: _getUserSyncProblem,
+  resyncEveryone: _resyncEveryone
 };
+
+window.FollowTheTokenAPI = FollowTheTokenAPI;
+Hooks.once("init", () => {
+  const module = game.modules.get(MODULE_ID);
+  if (module) module.api = FollowTheTokenAPI;
+});